@@ -1,6 +1,11 @@
+import { BrowserRouter } from "react-router-dom";
 import ConfigurableMRTPage, { defaultConfig } from "./ConfigurableMRTPage";
 function App() {
-  return <ConfigurableMRTPage config={defaultConfig} />;
+  return (
+    <BrowserRouter>
+      <ConfigurableMRTPage config={defaultConfig} />
+    </BrowserRouter>
+  );
 }
 
 export default App;
@@ -3,19 +3,58 @@
 // switchable data source (mock vs API), dynamic i18n labels, and export options (CSV/Excel/PDF + custom formats).
 //
 // ✅ Features
-// - Data source: mock JSON or API (switch via config)
-// - Detached, config-driven filters (select/text/date presets & custom range)
+// - Data source: mock JSON, REST API or GraphQL (switch via config); mock mode can simulate a server
+//   (filter/sort/paginate + total count, configurable latency & random failures)
+// - Detached, config-driven filters from a filter type registry: select, text, date presets & custom
+//   range, numberRange, boolean, exists and multi-field search (contains/startsWith/equals/regex);
+//   custom types via config.filterTypes; text input is debounced
+// - Date filters: presets (today, weeks, months, quarter/year/fiscal year to date, last/next N days),
+//   MUI date or date-time pickers, evaluated in a configured timezone (also for server params)
+// - Select options: static, loaded from an endpoint (search-as-you-type autocomplete) or derived
+//   from the data with per-option counts; cascading selects (dependsOn) clear their children
+// - Quick search box across all (or configured) columns: fuzzy terms, "quoted phrases",
+//   highlighted matches (also inside custom Cell renderers); sent as `q` with server filtering
+// - Typed columns (string, number, currency, percent, date, datetime, boolean, enum): Intl
+//   formatting, type-aware sorting, default filter types and typed export values
+// - Nested accessors ('vehicle.plate') and computed columns (accessorFn or '{a} {b}' expressions),
+//   used alike by rendering, filters, sorting and exports
+// - Conditional formatting rules (chips, colors, icons, row highlights) on screen and in
+//   Excel fills / PDF cell styles
+// - Active filter chips (remove one / Clear all) above the table, count badge on the mobile
+//   Filters button; the same translated summary is printed on PDF reports
+// - Requests are cancelled when inputs change; only the latest response is shown
+// - Auth token provider with refresh-and-retry on 401 and an onUnauthorized hook (all requests)
+// - Automatic retries with exponential backoff (network/5xx); error panel with Retry,
+//   "no data" vs "no matches" empty states, skeleton rows while loading
+// - Stale-while-revalidate page cache (TTL, invalidated by refetch) with next-page prefetch
+// - Live updates via polling, SSE or WebSocket (insert/update/delete by row id) with a
+//   live/paused toggle and highlighting of changed rows
 // - MRT built-in sorting; our own filters (not MRT default filters)
+// - Server-driven pagination/sorting (page numbers or cursors) with total row counts
+// - Pluggable query serialization: default params, OData, JSON:API, JSON POST body or custom
 // - Exports: CSV, Excel (ExcelJS), PDF (jsPDF/autoTable) with style config,
-//            plus custom exports (QuickBooks JSON, FMCSA PDF)
+//            plus custom exports (QuickBooks JSON, FMCSA PDF); formats come from an exporter
+//            registry that configs extend via export.exporters; selected rows, current page or
+//            all matching rows (fetched page by page under server pagination, with progress & cancel)
+// - FMCSA driver qualification roster: carrier header (USDOT/MC, address), CDL/medical card
+//   fields, pre-export validation of missing/expired fields and a certification block
+// - PDF reports: logo, company block, repeated header/footer, "Page X of Y", filter summary,
+//   generated-by line and embedded TTF fonts for non-Latin text
+// - Excel workbooks: typed cells, frozen & auto-filtered header, optional totals row,
+//   summary sheet (title, generated time, filters) and optional split into sheets by a field
 // - Back button navigation
+// - Shareable URLs: filters, sorting & pagination synced to the query string (namespaced per table)
+// - Column chooser: show/hide, drag to reorder, pin and resize; layout remembered per page id
+//   and followed by exports (visible columns, on-screen order)
+// - Saved views per page id (filters, sorting, page size, column layout) with a default view;
+//   stored in localStorage or an API endpoint, or any custom { load, save } adapter
 // - i18n-first labels using react-i18next keys
 // - Responsive: desktop/tablet/mobile (filter drawer on small screens)
 // - Reusable: single component with a rich config object
 //
 // 📦 Required packages (install before use):
 //   npm i react react-dom react-router-dom material-react-table @mui/material @mui/icons-material @emotion/react @emotion/styled
-//   npm i dayjs file-saver exceljs jspdf jspdf-autotable
+//   npm i dayjs file-saver exceljs jspdf jspdf-autotable @mui/x-date-pickers
 //   npm i react-i18next i18next
 //   // (Optional) If your project already has MUI/i18n, skip duplicates.
 //
@@ -24,9 +63,16 @@
 //
 // Notes:
 // - This file assumes your i18n provider is mounted above (I18nextProvider / useTranslation ready).
-// - If you don't use react-router, the Back button falls back to window.history.back().
+// - Render inside a react-router <BrowserRouter> (or any Router): URL state sync and the Back button use it.
+//   Set config.urlState = { namespace: 'drivers' } when two tables share a route, or { enabled: false } to opt out.
 
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
 import {
   Box,
   Stack,
@@ -39,6 +85,8 @@ import {
   InputLabel,
   TextField,
   Chip,
+  Badge,
+  InputAdornment,
   Divider,
   useMediaQuery,
   Drawer,
@@ -47,8 +95,19 @@ import {
   Menu,
   ListItemIcon,
   ListItemText,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Alert,
+  AlertTitle,
+  Autocomplete,
+  CircularProgress,
+  LinearProgress,
+  ToggleButton,
+  ToggleButtonGroup,
 } from "@mui/material";
-import { useTheme } from "@mui/material/styles";
+import { alpha, useTheme } from "@mui/material/styles";
 import ArrowBackIcon from "@mui/icons-material/ArrowBack";
 import FilterAltOutlinedIcon from "@mui/icons-material/FilterAltOutlined";
 import DownloadOutlinedIcon from "@mui/icons-material/DownloadOutlined";
@@ -57,61 +116,604 @@ import PictureAsPdfOutlinedIcon from "@mui/icons-material/PictureAsPdfOutlined";
 import TableViewOutlinedIcon from "@mui/icons-material/TableViewOutlined";
 import GridOnOutlinedIcon from "@mui/icons-material/GridOnOutlined";
 import DataObjectOutlinedIcon from "@mui/icons-material/DataObjectOutlined";
-import { useNavigate } from "react-router-dom";
+import BookmarksOutlinedIcon from "@mui/icons-material/BookmarksOutlined";
+import StarIcon from "@mui/icons-material/Star";
+import StarBorderIcon from "@mui/icons-material/StarBorder";
+import EditOutlinedIcon from "@mui/icons-material/EditOutlined";
+import DeleteOutlineIcon from "@mui/icons-material/DeleteOutline";
+import SaveOutlinedIcon from "@mui/icons-material/SaveOutlined";
+import RefreshIcon from "@mui/icons-material/Refresh";
+import SearchOffIcon from "@mui/icons-material/SearchOff";
+import InboxOutlinedIcon from "@mui/icons-material/InboxOutlined";
+import FiberManualRecordIcon from "@mui/icons-material/FiberManualRecord";
+import PauseCircleOutlineIcon from "@mui/icons-material/PauseCircleOutline";
+import WarningAmberIcon from "@mui/icons-material/WarningAmber";
+import ErrorOutlineIcon from "@mui/icons-material/ErrorOutline";
+import InfoOutlinedIcon from "@mui/icons-material/InfoOutlined";
+import CheckCircleOutlineIcon from "@mui/icons-material/CheckCircleOutline";
+import SearchIcon from "@mui/icons-material/Search";
+import CloseIcon from "@mui/icons-material/Close";
+import { useLocation, useNavigate } from "react-router-dom";
 import {
   MaterialReactTable,
   useMaterialReactTable,
 } from "material-react-table";
 import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+import timezone from "dayjs/plugin/timezone";
+// Date picker locales (month/day names, week start); add imports for other languages
+import "dayjs/locale/am";
+import "dayjs/locale/ar";
+import "dayjs/locale/de";
+import "dayjs/locale/en-gb";
+import "dayjs/locale/es";
+import "dayjs/locale/fr";
 import { saveAs } from "file-saver";
 import ExcelJS from "exceljs";
 import jsPDF from "jspdf";
 import autoTable from "jspdf-autotable";
 import { useTranslation } from "react-i18next";
+import { LocalizationProvider } from "@mui/x-date-pickers/LocalizationProvider";
+import { AdapterDayjs } from "@mui/x-date-pickers/AdapterDayjs";
+import { DatePicker } from "@mui/x-date-pickers/DatePicker";
+import { DateTimePicker } from "@mui/x-date-pickers/DateTimePicker";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
 
 // ------------------------- Helper: i18n safe t -------------------------
+// "{{count}} rows" with { count: 3 } → "3 rows" (fallback text without i18next)
+const fillTemplate = (text, options = {}) =>
+  String(text ?? "").replace(/{{(\w+)}}/g, (_, k) => options[k] ?? "");
+
+// Stable per language, so memos and effects can depend on it. Without a key
+// (e.g. a plain `label`) the fallback is used; i18next would return "".
 const useT = () => {
   const { t } = useTranslation();
-  return (key, fallback, options = {}) =>
-    t(key, fallback ? { defaultValue: fallback, ...options } : options);
+  return useCallback(
+    (key, fallback, options = {}) =>
+      key
+        ? t(key, fallback ? { defaultValue: fallback, ...options } : options)
+        : fillTemplate(fallback, options),
+    [t]
+  );
 };
 
+// ------------------------- Error reporting -------------------------
+// Failures outside the page's own data request (saved views, column layout, live
+// updates, option lists, auth refresh) go to config.onError(error, { source }).
+const reportError = (config, error, source) =>
+  config?.onError?.(error, { source });
+
 // ------------------------- Date helpers -------------------------
-const startOfToday = () => dayjs().startOf("day");
-const startOfQuarter = () => {
-  const month = dayjs().month();
-  const qStartMonth = month - (month % 3);
-  return dayjs().month(qStartMonth).startOf("month");
+// Date settings (config.dates, overridable per filter):
+//   { timezone: 'America/Chicago', weekStartsOn: 1, fiscalYearStartMonth: 7, locale: 'en-gb' }
+// timezone: IANA zone used for presets, custom ranges and server params (default: browser zone)
+// weekStartsOn: 0 = Sunday … 6 = Saturday; fiscalYearStartMonth: 1 = January … 12 = December
+// locale: picker locale (default: config.locale, then the i18n language)
+const nowIn = (tz) => (tz ? dayjs().tz(tz) : dayjs());
+// Wall-clock string ("2025-01-31" / "2025-01-31T08:00") interpreted in tz
+const parseInTz = (str, tz) => (tz ? dayjs.tz(str, tz) : dayjs(str));
+
+// "en-GB" / "am_ET" / "de" → a loaded dayjs locale (exact, then base language, else "en")
+export const resolveDayjsLocale = (lang) => {
+  const code = String(lang || "")
+    .toLowerCase()
+    .replace("_", "-");
+  if (dayjs.Ls[code]) return code;
+  const base = code.split("-")[0];
+  return dayjs.Ls[base] ? base : "en";
+};
+
+const startOfQuarter = (d) =>
+  d.month(d.month() - (d.month() % 3)).startOf("month");
+const startOfWeek = (d, weekStartsOn = 0) =>
+  d.subtract((d.day() - weekStartsOn + 7) % 7, "day").startOf("day");
+const startOfFiscalYear = (d, fiscalYearStartMonth = 1) => {
+  const m = fiscalYearStartMonth - 1;
+  const start = d.month(m).startOf("month");
+  return d.month() >= m ? start : start.subtract(1, "year");
 };
 
-const getPresetDateRange = (preset) => {
-  // preset examples: { type: 'lastNDays', n: 7 } | { type: 'lastNDays', n: 30 } | { type: 'quarterToDate' } | { type: 'lastNYears', n: 5 }
-  const today = startOfToday();
+export const getPresetDateRange = (preset, settings = {}) => {
+  // preset examples: { type: 'today' } | { type: 'lastNDays', n: 30 } | { type: 'nextNDays', n: 90 }
+  //                  | { type: 'lastMonth' } | { type: 'fiscalYearToDate' } | { type: 'lastNYears', n: 5 }
+  const { timezone, weekStartsOn, fiscalYearStartMonth } = settings;
+  const today = nowIn(timezone).startOf("day");
+  const endOfToday = today.endOf("day");
+  const week = startOfWeek(today, weekStartsOn);
+  const fiscal = startOfFiscalYear(today, fiscalYearStartMonth);
   switch (preset?.type) {
+    case "today":
+      return { start: today, end: endOfToday };
+    case "yesterday": {
+      const y = today.subtract(1, "day");
+      return { start: y, end: y.endOf("day") };
+    }
+    case "thisWeek":
+      return { start: week, end: endOfToday };
+    case "lastWeek":
+      return {
+        start: week.subtract(7, "day"),
+        end: week.subtract(1, "day").endOf("day"),
+      };
+    case "thisMonth":
+      return { start: today.startOf("month"), end: endOfToday };
+    case "lastMonth": {
+      const m = today.startOf("month").subtract(1, "month");
+      return { start: m, end: m.endOf("month") };
+    }
     case "lastNDays":
       return {
         start: today.subtract((preset.n || 7) - 1, "day"),
-        end: today.endOf("day"),
+        end: endOfToday,
+      };
+    case "nextNDays":
+      return {
+        start: today,
+        end: today.add((preset.n || 30) - 1, "day").endOf("day"),
       };
     case "quarterToDate":
-      return { start: startOfQuarter(), end: today.endOf("day") };
+      return { start: startOfQuarter(today), end: endOfToday };
+    case "yearToDate":
+      return { start: today.startOf("year"), end: endOfToday };
+    case "fiscalYearToDate":
+      return { start: fiscal, end: endOfToday };
+    case "lastFiscalYear":
+      return {
+        start: fiscal.subtract(1, "year"),
+        end: fiscal.subtract(1, "day").endOf("day"),
+      };
     case "lastNYears":
       return {
         start: today.subtract(preset.n || 1, "year").startOf("day"),
-        end: today.endOf("day"),
+        end: endOfToday,
       };
     default:
       return { start: null, end: null };
   }
 };
 
+// ------------------------- Field accessors -------------------------
+// Columns read their value through one accessor, also used by filters, sorting and exports:
+//   accessorKey: 'vehicle.plate'                                  dotted path into nested rows
+//   id + accessorFn: (row) => dayjs().diff(row.hireDate, 'day')  computed value
+//   id + expression: '{firstName} {lastName}'                     template of dotted paths
+// Filters, sort ids and quick search fields name a column id or any dotted path.
+const columnId = (c) => c.id || c.accessorKey;
+
+// A lone placeholder keeps the value's type ('{hireDate}'); otherwise a string
+export const compileExpression = (expr) => {
+  const lone = /^\{([^}]+)\}$/.exec(expr.trim());
+  if (lone) return (row) => getByPath(row, lone[1].trim());
+  return (row) =>
+    expr.replace(
+      /\{([^}]+)\}/g,
+      (_, path) => getByPath(row, path.trim()) ?? ""
+    );
+};
+
+export const createColumnAccessor = (c) =>
+  c.accessorFn ||
+  (c.expression
+    ? compileExpression(c.expression)
+    : (row) => getByPath(row, c.accessorKey));
+
+// (row, field) → value: a column's accessor by id, else the field as a dotted path
+export const createFieldReader = (columns) => {
+  const accessors = new Map(
+    (columns || []).map((c) => [columnId(c), createColumnAccessor(c)])
+  );
+  return (row, field) =>
+    accessors.has(field) ? accessors.get(field)(row) : getByPath(row, field);
+};
+
+// Value of `field` (default f.field) for a filter definition; see withFieldAccessors
+const fieldValue = (row, f, field = f.field) =>
+  f.read ? f.read(row, field) : getByPath(row, field);
+
+// Gives every filter the page's field reader (computed columns & nested paths)
+const withFieldAccessors = (config) => {
+  const read = createFieldReader(config?.columns);
+  return {
+    ...config,
+    filters: (config?.filters || []).map((f) => ({ ...f, read })),
+  };
+};
+
+// ------------------------- Column types -------------------------
+// config.columns[].type: string | number | currency | percent | date | datetime | boolean | enum
+// Per-column options: format (Intl options), currency ('USD'), dateFormat (dayjs pattern
+// instead of Intl), options (enum: [{ value, label | labelKey }]), trueLabelKey/falseLabelKey,
+// excelFormat (number format). Percent values are fractions (0.25 → 25%), like Intl.
+// Formatting uses config.locale (default: the i18n language) and config.dates.timezone.
+export const columnTypes = {
+  string: { filterType: "text" },
+  number: {
+    filterType: "numberRange",
+    numeric: true,
+    intl: (c) => c.format || {},
+  },
+  currency: {
+    filterType: "numberRange",
+    numeric: true,
+    intl: (c) => ({
+      style: "currency",
+      currency: c.currency || "USD",
+      ...(c.format || {}),
+    }),
+    excelFormat: "#,##0.00",
+  },
+  percent: {
+    filterType: "numberRange",
+    numeric: true,
+    intl: (c) => ({
+      style: "percent",
+      maximumFractionDigits: 2,
+      ...(c.format || {}),
+    }),
+    excelFormat: "0.00%",
+  },
+  date: {
+    filterType: "date",
+    temporal: true,
+    intl: (c) => c.format || { dateStyle: "medium" },
+    excelFormat: "yyyy-mm-dd",
+  },
+  datetime: {
+    filterType: "date",
+    temporal: true,
+    intl: (c) => c.format || { dateStyle: "medium", timeStyle: "short" },
+    excelFormat: "yyyy-mm-dd hh:mm",
+  },
+  boolean: { filterType: "boolean" },
+  enum: { filterType: "select" },
+};
+
+const toNumber = (v) =>
+  v == null || v === "" || Number.isNaN(Number(v)) ? null : Number(v);
+const toDayjs = (v, tz) => {
+  if (v == null || v === "") return null;
+  const d = dayjs(v);
+  if (!d.isValid()) return null;
+  return tz ? d.tz(tz) : d;
+};
+
+// Display formatter for a column: (value) → string ('' for empty values)
+export const createColumnFormatter = (c, { locale, timezone, t }) => {
+  const type = columnTypes[c.type];
+  if (!type) return (v) => (v == null ? "" : String(v));
+  if (type.numeric) {
+    const nf = new Intl.NumberFormat(locale, type.intl(c));
+    return (v) => (toNumber(v) == null ? "" : nf.format(toNumber(v)));
+  }
+  if (type.temporal) {
+    const df = new Intl.DateTimeFormat(locale, {
+      ...type.intl(c),
+      ...(timezone ? { timeZone: timezone } : {}),
+    });
+    return (v) => {
+      const d = toDayjs(v, timezone);
+      if (!d) return "";
+      return c.dateFormat ? d.format(c.dateFormat) : df.format(d.toDate());
+    };
+  }
+  if (c.type === "boolean")
+    return (v) =>
+      v == null || v === ""
+        ? ""
+        : toBool(v)
+        ? t(c.trueLabelKey || "common.yes", "Yes")
+        : t(c.falseLabelKey || "common.no", "No");
+  if (c.type === "enum")
+    return (v) => {
+      const opt = (c.options || []).find((o) => o.value === v);
+      if (opt)
+        return t(
+          opt.labelKey,
+          opt.label != null ? String(opt.label) : String(v)
+        );
+      return v == null ? "" : String(v);
+    };
+  return (v) => (v == null ? "" : String(v));
+};
+
+// Value written by exports: CSV gets plain machine-readable values, Excel typed cells
+// (numbers, Dates shown in the page timezone), PDF the display text
+export const columnExportValue = (c, v, target, ctx) => {
+  const type = columnTypes[c.type];
+  if (!type || target === "pdf") return createColumnFormatter(c, ctx)(v);
+  if (type.numeric) return toNumber(v);
+  if (type.temporal) {
+    const tzd = toDayjs(v, ctx.timezone);
+    if (!tzd) return null;
+    const d = c.type === "date" ? tzd.startOf("day") : tzd;
+    if (target === "excel")
+      return new Date(
+        Date.UTC(
+          d.year(),
+          d.month(),
+          d.date(),
+          d.hour(),
+          d.minute(),
+          d.second()
+        )
+      );
+    return c.type === "date" ? d.format("YYYY-MM-DD") : d.format();
+  }
+  if (c.type === "boolean")
+    return v == null || v === ""
+      ? null
+      : target === "excel"
+      ? toBool(v)
+      : String(toBool(v));
+  return createColumnFormatter(c, ctx)(v);
+};
+
+// Raw-value comparator for a column (nulls last, like compareValues)
+export const columnComparator = (c) => {
+  const type = columnTypes[c?.type];
+  if (type?.numeric) return (a, b) => compareValues(toNumber(a), toNumber(b));
+  if (type?.temporal)
+    return (a, b) =>
+      compareValues(
+        toDayjs(a)?.valueOf() ?? null,
+        toDayjs(b)?.valueOf() ?? null
+      );
+  if (c?.type === "boolean")
+    return (a, b) =>
+      compareValues(
+        a == null ? null : +toBool(a),
+        b == null ? null : +toBool(b)
+      );
+  if (c?.type === "enum") {
+    // Enum columns sort in option order
+    const order = new Map((c.options || []).map((o, i) => [o.value, i]));
+    return (a, b) =>
+      compareValues(
+        order.get(a) ?? (a == null ? null : order.size),
+        order.get(b) ?? (b == null ? null : order.size)
+      );
+  }
+  return compareValues;
+};
+
+// Filters may omit `type`: it defaults from the column type (enum columns also lend
+// their options to select filters, datetime columns make date filters time-aware)
+const withColumnTypeDefaults = (config) => {
+  if (!(config?.filters || []).some((f) => !f.type)) return config;
+  return {
+    ...config,
+    filters: config.filters.map((f) => {
+      if (f.type) return f;
+      const col = (config.columns || []).find((c) => columnId(c) === f.field);
+      const type = columnTypes[col?.type]?.filterType || "text";
+      return {
+        ...f,
+        type,
+        ...(type === "select" && !f.options ? { options: col.options } : {}),
+        ...(col?.type === "datetime" && f.withTime == null
+          ? { withTime: true }
+          : {}),
+      };
+    }),
+  };
+};
+
+// ------------------------- Conditional formatting -------------------------
+// config.formatRules: [{ field, op, value, …style }] evaluated per row, in order (later rules win)
+//   op: eq | ne | in | notIn | gt | gte | lt | lte | between ([min, max]) | contains | empty |
+//       notEmpty | withinNextDays (n) | withinLastDays (n) | past | future
+//   style: chip ('success' | 'error' | 'warning' | 'info' | 'default' …) renders the value as a Chip;
+//          color / background (CSS or palette path like 'error.main'); bold; icon ('warning' |
+//          'error' | 'info' | 'check'); columns: ['a', 'b'] (default: [field]); row: true styles
+//          the whole row instead of cells
+// Rules also drive Excel fills and PDF cell styles (see formatRuleExportStyle).
+const FORMAT_RULE_ICONS = {
+  warning: WarningAmberIcon,
+  error: ErrorOutlineIcon,
+  info: InfoOutlinedIcon,
+  check: CheckCircleOutlineIcon,
+};
+
+// Numbers compare as numbers, other values as dates when both parse, else as text
+const ruleComparable = (v) => {
+  if (typeof v === "number") return v;
+  if (v instanceof Date) return v.getTime();
+  if (v != null && v !== "" && !Number.isNaN(Number(v))) return Number(v);
+  const d = typeof v === "string" ? dayjs(v) : null;
+  return d?.isValid() ? d.valueOf() : v;
+};
+const ruleCompare = (a, b) =>
+  compareValues(ruleComparable(a), ruleComparable(b));
+
+export const ruleMatches = (rule, v, dates) => {
+  const within = (type) => {
+    const d = toDayjs(v);
+    if (!d) return false;
+    const { start, end } = getPresetDateRange({ type, n: rule.value }, dates);
+    return !d.isBefore(start) && !d.isAfter(end);
+  };
+  switch (rule.op || "eq") {
+    case "eq":
+      return v === rule.value;
+    case "ne":
+      return v !== rule.value;
+    case "in":
+      return (rule.value || []).includes(v);
+    case "notIn":
+      return !(rule.value || []).includes(v);
+    case "gt":
+      return v != null && ruleCompare(v, rule.value) > 0;
+    case "gte":
+      return v != null && ruleCompare(v, rule.value) >= 0;
+    case "lt":
+      return v != null && ruleCompare(v, rule.value) < 0;
+    case "lte":
+      return v != null && ruleCompare(v, rule.value) <= 0;
+    case "between":
+      return (
+        v != null &&
+        ruleCompare(v, rule.value[0]) >= 0 &&
+        ruleCompare(v, rule.value[1]) <= 0
+      );
+    case "contains":
+      return matchText(v, String(rule.value), "contains");
+    case "empty":
+      return !isFilterValueActive(v);
+    case "notEmpty":
+      return isFilterValueActive(v);
+    case "withinNextDays":
+      return within("nextNDays");
+    case "withinLastDays":
+      return within("lastNDays");
+    case "past":
+      return !!toDayjs(v)?.isBefore(dayjs());
+    case "future":
+      return !!toDayjs(v)?.isAfter(dayjs());
+    default:
+      return false;
+  }
+};
+
+// Merged style of the matching rules for one cell (columnId) or the row (columnId = null)
+export const resolveRowFormat = (rules, row, read, dates, colId = null) =>
+  (rules || []).reduce((acc, rule) => {
+    const applies = colId
+      ? !rule.row && (rule.columns || [rule.field]).includes(colId)
+      : !!rule.row;
+    if (!applies || !ruleMatches(rule, read(row, rule.field), dates))
+      return acc;
+    const { field, op, value, columns, row: _row, ...style } = rule;
+    return { ...(acc || {}), ...style };
+  }, null);
+
+// Palette paths ('error.main') → theme colors; CSS colors pass through
+const resolveThemeColor = (theme, color) =>
+  typeof color === "string" && /^[a-z]+\.[a-z0-9]+$/i.test(color)
+    ? getByPath(theme.palette, color) || color
+    : color;
+
+// '#abc' | '#aabbcc' | 'rgb(a)(…)' → 'aabbcc' (null if unknown)
+export const colorToHex = (color) => {
+  if (typeof color !== "string") return null;
+  const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(color);
+  if (short)
+    return short
+      .slice(1)
+      .map((c) => c + c)
+      .join("");
+  const long = /^#([0-9a-f]{6})/i.exec(color);
+  if (long) return long[1];
+  const rgb = /^rgba?\((\d+),\s*(\d+),\s*(\d+)/i.exec(color);
+  return rgb
+    ? rgb
+        .slice(1)
+        .map((n) => Number(n).toString(16).padStart(2, "0"))
+        .join("")
+    : null;
+};
+
+// Screen sx for a cell/row format (chips are rendered by FormattedCell)
+const formatRuleSx = (theme, fmt) =>
+  fmt
+    ? {
+        ...(fmt.background
+          ? { bgcolor: resolveThemeColor(theme, fmt.background) }
+          : {}),
+        ...(fmt.color && !fmt.chip
+          ? { color: resolveThemeColor(theme, fmt.color) }
+          : {}),
+        ...(fmt.bold ? { fontWeight: 600 } : {}),
+      }
+    : {};
+
+// Export style { color, background, bold } as hex; chips become a tinted fill
+export const formatRuleExportStyle = (theme, fmt) => {
+  if (!fmt) return null;
+  const chip = fmt.chip && theme.palette[fmt.chip];
+  const background = fmt.background
+    ? resolveThemeColor(theme, fmt.background)
+    : chip
+    ? alpha(chip.main, 0.2)
+    : null;
+  const color = fmt.color
+    ? resolveThemeColor(theme, fmt.color)
+    : chip
+    ? chip.dark
+    : null;
+  // alpha() yields rgba(); blend onto white for export fills
+  const solid = (c) => {
+    const m = /^rgba\((\d+),\s*(\d+),\s*(\d+),\s*([\d.]+)\)/.exec(c || "");
+    if (!m) return colorToHex(c);
+    const a = Number(m[4]);
+    return m
+      .slice(1, 4)
+      .map((n) =>
+        Math.round(Number(n) * a + 255 * (1 - a))
+          .toString(16)
+          .padStart(2, "0")
+      )
+      .join("");
+  };
+  return {
+    background: solid(background),
+    color: solid(color),
+    bold: !!fmt.bold,
+  };
+};
+
+const FormattedCell = ({ fmt, children }) => {
+  const theme = useTheme();
+  const Icon =
+    typeof fmt.icon === "string" ? FORMAT_RULE_ICONS[fmt.icon] : null;
+  const icon = Icon ? (
+    <Icon fontSize="small" />
+  ) : React.isValidElement(fmt.icon) ? (
+    fmt.icon
+  ) : null;
+  if (fmt.chip)
+    return (
+      <Chip
+        size="small"
+        color={fmt.chip}
+        variant={fmt.chipVariant || "filled"}
+        icon={icon || undefined}
+        label={children}
+      />
+    );
+  return (
+    <Box
+      component="span"
+      sx={{
+        display: "inline-flex",
+        alignItems: "center",
+        gap: 0.5,
+        ...formatRuleSx(theme, { ...fmt, background: undefined }),
+      }}
+    >
+      {icon}
+      {children}
+    </Box>
+  );
+};
+
+// Translated text in exported files; the export helpers also run without i18n (t omitted)
+const exportLabel = (t, key, fallback, options = {}) =>
+  t ? t(key, fallback, options) : fillTemplate(fallback, options);
+
 // ------------------------- CSV export helper -------------------------
+// Export columns are { accessorKey, header, exportValue?(row, target), excelFormat?,
+// cellStyle?(row) → { color, background, bold } (hex, from conditional formatting) }
+const exportCellValue = (c, row, target) =>
+  c.exportValue ? c.exportValue(row, target) : getByPath(row, c.accessorKey);
+
 const toCSV = (rows, columns) => {
   const headers = columns.map((c) => c.header);
   const lines = rows.map((r) =>
     columns
       .map((c) => {
-        const v = r[c.accessorKey];
+        const v = exportCellValue(c, r, "csv");
         const cell = v == null ? "" : String(v).replaceAll('"', '""');
         return `"${cell}"`;
       })
@@ -121,29 +723,194 @@ const toCSV = (rows, columns) => {
 };
 
 // ------------------------- Excel export helper -------------------------
-const exportExcel = async (
-  rows,
-  columns,
-  fileName = "export.xlsx",
-  styleCfg = {}
-) => {
-  const wb = new ExcelJS.Workbook();
-  const ws = wb.addWorksheet("Data");
+// styles.excel: {
+//   header: { bold: true } (font), headerFill: 'F0F0F0', headerBorder: 'thin',
+//   freezeHeader: true, autoFilter: true,
+//   totals: true | { [columnId]: 'sum' | 'average' | 'count' | 'min' | 'max' }  (true: sum numeric columns)
+//   splitBy: 'status' (one sheet per value), sheetName: 'Data',
+//   summarySheet: true, summarySheetName: 'Summary', title: 'Drivers Report'
+// }
+// Totals use SUBTOTAL so they follow the auto-filter.
+const EXCEL_SUBTOTAL_FNS = {
+  average: 101,
+  count: 103,
+  max: 104,
+  min: 105,
+  sum: 109,
+};
+
+const excelArgb = (hex) => `FF${String(hex).replace(/^#/, "").toUpperCase()}`;
+
+// Sheet names: max 31 chars, no []:*?/\, unique within the workbook
+const excelSheetName = (wb, name) => {
+  const base =
+    String(name || "Sheet")
+      .replace(/[[\]:*?/\\]/g, " ")
+      .slice(0, 31)
+      .trim() || "Sheet";
+  let candidate = base;
+  for (let i = 2; wb.getWorksheet(candidate); i++)
+    candidate = `${base.slice(0, 31 - String(i).length - 1)} ${i}`;
+  return candidate;
+};
+
+const addExcelDataSheet = (wb, name, rows, columns, styleCfg, t) => {
+  const ws = wb.addWorksheet(excelSheetName(wb, name));
   // Header row
-  ws.addRow(columns.map((c) => c.header));
-  // Body rows
-  rows.forEach((r) => ws.addRow(columns.map((c) => r[c.accessorKey])));
-  // Simple styling (configurable)
-  const headerStyle = styleCfg.header || { bold: true };
-  ws.getRow(1).font = headerStyle;
-  // Column widths
+  const header = ws.addRow(columns.map((c) => c.header));
+  header.font = styleCfg.header || { bold: true };
+  header.eachCell((cell) => {
+    if (styleCfg.headerFill)
+      cell.fill = {
+        type: "pattern",
+        pattern: "solid",
+        fgColor: { argb: excelArgb(styleCfg.headerFill) },
+      };
+    if (styleCfg.headerBorder)
+      cell.border = { bottom: { style: styleCfg.headerBorder } };
+  });
+  // Body rows (typed values; conditional formatting fills/fonts)
+  rows.forEach((r) => {
+    const row = ws.addRow(columns.map((c) => exportCellValue(c, r, "excel")));
+    columns.forEach((c, i) => {
+      const st = c.cellStyle?.(r);
+      if (!st) return;
+      const cell = row.getCell(i + 1);
+      if (st.background)
+        cell.fill = {
+          type: "pattern",
+          pattern: "solid",
+          fgColor: { argb: excelArgb(st.background) },
+        };
+      if (st.color || st.bold)
+        cell.font = {
+          bold: st.bold,
+          ...(st.color ? { color: { argb: excelArgb(st.color) } } : {}),
+        };
+    });
+  });
+  // Totals row: SUBTOTAL per configured (or every numeric) column
+  const totals =
+    styleCfg.totals === true
+      ? Object.fromEntries(
+          columns
+            .filter((c) => columnTypes[c.type]?.numeric)
+            .map((c) => [c.accessorKey, "sum"])
+        )
+      : styleCfg.totals || null;
+  if (totals && rows.length) {
+    const last = rows.length + 1;
+    const row = ws.addRow(
+      columns.map((c, i) => {
+        const fn = EXCEL_SUBTOTAL_FNS[totals[c.accessorKey]];
+        if (!fn) return null;
+        const letter = ws.getColumn(i + 1).letter;
+        return { formula: `SUBTOTAL(${fn},${letter}2:${letter}${last})` };
+      })
+    );
+    if (!totals[columns[0]?.accessorKey])
+      row.getCell(1).value =
+        styleCfg.totalsLabel || exportLabel(t, "exports.excel.total", "Total");
+    row.font = { bold: true };
+    row.eachCell((cell) => {
+      cell.border = { top: { style: "thin" } };
+    });
+  }
+  // Column widths & number formats
   columns.forEach((c, i) => {
     const maxLen = Math.max(
       c.header?.length || 10,
-      ...rows.map((r) => String(r[c.accessorKey] ?? "").length)
+      ...rows.map((r) => String(exportCellValue(c, r, "pdf") ?? "").length)
     );
     ws.getColumn(i + 1).width = Math.min(Math.max(10, maxLen + 2), 50);
+    if (c.excelFormat) ws.getColumn(i + 1).numFmt = c.excelFormat;
+  });
+  if (styleCfg.freezeHeader !== false)
+    ws.views = [{ state: "frozen", ySplit: 1 }];
+  if (styleCfg.autoFilter !== false && columns.length)
+    ws.autoFilter = {
+      from: { row: 1, column: 1 },
+      to: { row: 1 + rows.length, column: columns.length },
+    };
+  return ws;
+};
+
+// Report title, generation time, row counts and the applied filters
+const addExcelSummarySheet = (wb, styleCfg, sheets, filters, t) => {
+  const label = (key, fallback, opts) =>
+    exportLabel(t, `exports.excel.${key}`, fallback, opts);
+  const ws = wb.addWorksheet(
+    excelSheetName(
+      wb,
+      styleCfg.summarySheetName || label("summarySheet", "Summary")
+    )
+  );
+  const titleRow = ws.addRow([styleCfg.title || label("report", "Report")]);
+  ws.addRow([]);
+  ws.addRow([label("generated", "Generated"), new Date()]).getCell(2).numFmt =
+    "yyyy-mm-dd hh:mm";
+  sheets.forEach(({ name, count }) =>
+    ws.addRow([
+      sheets.length > 1
+        ? label("rowsIn", "Rows: {{name}}", { name })
+        : label("rows", "Rows"),
+      count,
+    ])
+  );
+  ws.addRow([]);
+  ws.addRow([label("filters", "Filters")]).font = { bold: true };
+  if (filters?.length) filters.forEach((d) => ws.addRow([d.label, d.text]));
+  else ws.addRow([label("noFilters", "(none)")]);
+  ws.getColumn(1).width = 24;
+  ws.getColumn(2).width = 60;
+  // Labels bold; the title keeps its larger size
+  ws.getColumn(1).font = { bold: true };
+  titleRow.font = { bold: true, size: 14 };
+  return ws;
+};
+
+// The workbook for exportExcel; t translates the summary and totals labels
+export const buildExcelWorkbook = (rows, columns, styleCfg = {}, t) => {
+  const wb = new ExcelJS.Workbook();
+  wb.created = new Date();
+  // One sheet, or one per value of styleCfg.splitBy (display text of that column)
+  const groups = new Map();
+  if (styleCfg.splitBy) {
+    const col = columns.find((c) => c.accessorKey === styleCfg.splitBy);
+    rows.forEach((r) => {
+      const key = col
+        ? exportCellValue(col, r, "pdf")
+        : getByPath(r, styleCfg.splitBy);
+      const name =
+        key == null || key === ""
+          ? exportLabel(t, "exports.excel.blank", "(blank)")
+          : String(key);
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(r);
+    });
+  } else
+    groups.set(
+      styleCfg.sheetName || exportLabel(t, "exports.excel.dataSheet", "Data"),
+      rows
+    );
+
+  const sheets = Array.from(groups.entries()).map(([name, groupRows]) => {
+    addExcelDataSheet(wb, name, groupRows, columns, styleCfg, t);
+    return { name, count: groupRows.length };
   });
+  if (styleCfg.summarySheet !== false)
+    addExcelSummarySheet(wb, styleCfg, sheets, styleCfg.filters, t);
+  return wb;
+};
+
+const exportExcel = async (
+  rows,
+  columns,
+  fileName = "export.xlsx",
+  styleCfg = {},
+  t
+) => {
+  const wb = buildExcelWorkbook(rows, columns, styleCfg, t);
   const buf = await wb.xlsx.writeBuffer();
   saveAs(
     new Blob([buf], {
@@ -154,30 +921,254 @@ const exportExcel = async (
 };
 
 // ------------------------- PDF export helper -------------------------
-const exportPDF = (rows, columns, fileName = "export.pdf", styleCfg = {}) => {
+// Report chrome for styles.pdf / styles.fmcsa (all optional):
+//   logo: '/logo.png' | 'data:image/png;base64,…' | { src, width: 80, height: 30 }
+//   company: { name: 'Acme Freight', lines: ['12 Bole Rd, Addis Ababa', 'USDOT 1234567'] }
+//   headerText / footerText: small text repeated on every page
+//   generatedBy: 'Dispatch' (footer line "Generated by … on …"), pageNumbers: true ("Page X of Y")
+//   fonts: [{ name: 'NotoSansEthiopic', url: '/fonts/NotoSansEthiopic-Regular.ttf', style: 'normal' }]
+//   font: 'NotoSansEthiopic' (title, chrome and table; the built-in fonts only cover Latin-1)
+// Logos and fonts are fetched once per URL and embedded in the document.
+const PDF_MARGIN = 40;
+const pdfAssetCache = new Map();
+
+const bytesToBase64 = (bytes) => {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000)
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+};
+
+// Resolves to { mime, base64 }; base64 data URLs pass through
+export const loadPdfAsset = (src) => {
+  const inline = /^data:([^;,]*)(?:;[^,]*)?;base64,(.*)$/.exec(src);
+  if (inline) return Promise.resolve({ mime: inline[1], base64: inline[2] });
+  if (!pdfAssetCache.has(src))
+    pdfAssetCache.set(
+      src,
+      fetch(src)
+        .then(async (res) => {
+          if (!res.ok) throw new Error(`Failed to load ${src} (${res.status})`);
+          return {
+            mime: res.headers.get("content-type") || "",
+            base64: bytesToBase64(new Uint8Array(await res.arrayBuffer())),
+          };
+        })
+        .catch((e) => {
+          pdfAssetCache.delete(src);
+          throw e;
+        })
+    );
+  return pdfAssetCache.get(src);
+};
+
+// Embeds TTF fonts; families without a bold face reuse their first file for bold
+// so autoTable's bold header still finds the glyphs
+export const registerPdfFonts = async (doc, fonts = []) => {
+  const assets = await Promise.all(fonts.map((f) => loadPdfAsset(f.url)));
+  const files = {};
+  fonts.forEach((f, i) => {
+    const style = f.style || "normal";
+    const file = `${f.name}-${style}.ttf`;
+    doc.addFileToVFS(file, assets[i].base64);
+    doc.addFont(file, f.name, style);
+    files[f.name] = files[f.name] || file;
+  });
+  Object.entries(files).forEach(([name, file]) => {
+    const styles = doc.getFontList()[name] || [];
+    if (!styles.includes("normal")) doc.addFont(file, name, "normal");
+    if (!styles.includes("bold")) doc.addFont(file, name, "bold");
+  });
+};
+
+// Creates the document (fonts and logo loaded) and returns
+// { doc, font, top, bottom, finish() }: tables go between top and bottom,
+// finish() paints header & footer on every page once the page count is known
+export const createPdfReport = async (styleCfg, defaults, t) => {
   const doc = new jsPDF({
-    orientation: styleCfg.orientation || "landscape",
+    orientation: styleCfg.orientation || defaults.orientation,
     unit: "pt",
-    format: "a4",
+    format: styleCfg.format || "a4",
   });
+  await registerPdfFonts(doc, styleCfg.fonts);
+  const font = styleCfg.font || "helvetica";
+  doc.setFont(font, "normal");
+
+  const logo =
+    typeof styleCfg.logo === "string" ? { src: styleCfg.logo } : styleCfg.logo;
+  const logoAsset = logo?.src ? await loadPdfAsset(logo.src) : null;
+  const logoW = logo?.width || 80;
+  const logoH = logo?.height || 30;
+  const company = styleCfg.company
+    ? [styleCfg.company.name, ...(styleCfg.company.lines || [])].filter(Boolean)
+    : [];
+  const title = styleCfg.title || defaults.title;
+  const titleSize = styleCfg.titleFontSize || defaults.titleFontSize;
+  const width = doc.internal.pageSize.getWidth();
+  const height = doc.internal.pageSize.getHeight();
+  const headerTop = 24;
+  const headerBottom =
+    headerTop +
+    Math.max(
+      logoAsset ? logoH : 0,
+      titleSize + (styleCfg.headerText ? 12 : 0),
+      company.length * 10
+    );
+  const generated = dayjs().format("YYYY-MM-DD HH:mm");
+  const generatedLine = styleCfg.generatedBy
+    ? exportLabel(
+        t,
+        "exports.generatedBy",
+        "Generated by {{name}} on {{date}}",
+        {
+          name: styleCfg.generatedBy,
+          date: generated,
+        }
+      )
+    : exportLabel(t, "exports.generatedOn", "Generated {{date}}", {
+        date: generated,
+      });
+
+  const drawHeader = () => {
+    let x = PDF_MARGIN;
+    if (logoAsset) {
+      doc.addImage(
+        logoAsset.base64,
+        /png/i.test(logoAsset.mime || logo.src) ? "PNG" : "JPEG",
+        x,
+        headerTop,
+        logoW,
+        logoH
+      );
+      x += logoW + 12;
+    }
+    doc.setTextColor(0);
+    doc.setFont(font, "bold");
+    doc.setFontSize(titleSize);
+    doc.text(title, x, headerTop + titleSize - 2);
+    doc.setFont(font, "normal");
+    if (styleCfg.headerText) {
+      doc.setFontSize(8);
+      doc.text(styleCfg.headerText, x, headerTop + titleSize + 10);
+    }
+    company.forEach((line, i) => {
+      doc.setFont(font, i === 0 ? "bold" : "normal");
+      doc.setFontSize(i === 0 ? 9 : 8);
+      doc.text(line, width - PDF_MARGIN, headerTop + 8 + i * 10, {
+        align: "right",
+      });
+    });
+    doc.setDrawColor(200);
+    doc.line(
+      PDF_MARGIN,
+      headerBottom + 4,
+      width - PDF_MARGIN,
+      headerBottom + 4
+    );
+  };
+
+  const drawFooter = (page, pages) => {
+    const y = height - 24;
+    doc.setDrawColor(200);
+    doc.line(PDF_MARGIN, y - 12, width - PDF_MARGIN, y - 12);
+    doc.setTextColor(100);
+    doc.setFont(font, "normal");
+    doc.setFontSize(8);
+    doc.text(
+      [styleCfg.footerText, generatedLine].filter(Boolean).join("  ·  "),
+      PDF_MARGIN,
+      y
+    );
+    if (styleCfg.pageNumbers !== false)
+      doc.text(
+        exportLabel(t, "exports.pageOf", "Page {{page}} of {{pages}}", {
+          page,
+          pages,
+        }),
+        width - PDF_MARGIN,
+        y,
+        { align: "right" }
+      );
+    doc.setTextColor(0);
+  };
+
+  return {
+    doc,
+    font,
+    top: headerBottom + 16,
+    bottom: 48,
+    finish: () => {
+      const pages = doc.getNumberOfPages();
+      for (let page = 1; page <= pages; page++) {
+        doc.setPage(page);
+        drawHeader();
+        drawFooter(page, pages);
+      }
+    },
+  };
+};
+
+// autoTable hook applying conditional formatting (export column cellStyle) to body cells
+export const pdfCellStyles = (rows, columns) => (data) => {
+  if (data.section !== "body") return;
+  const st = columns[data.column.index]?.cellStyle?.(rows[data.row.index]);
+  if (!st) return;
+  const rgb = (hex) => [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  if (st.background) data.cell.styles.fillColor = rgb(st.background);
+  if (st.color) data.cell.styles.textColor = rgb(st.color);
+  if (st.bold) data.cell.styles.fontStyle = "bold";
+};
+
+// Wrapped filter summary line below the header; returns the y after it
+const drawFilterSummary = (doc, summary, y) => {
+  if (!summary) return y;
+  doc.setFontSize(9);
+  const lines = doc.splitTextToSize(
+    summary,
+    doc.internal.pageSize.getWidth() - PDF_MARGIN * 2
+  );
+  doc.text(lines, PDF_MARGIN, y);
+  return y + lines.length * 11;
+};
+
+const exportPDF = async (
+  rows,
+  columns,
+  fileName = "export.pdf",
+  styleCfg = {},
+  t
+) => {
+  const report = await createPdfReport(
+    styleCfg,
+    { orientation: "landscape", title: "Report", titleFontSize: 14 },
+    t
+  );
+  const { doc, font } = report;
 
   const head = [columns.map((c) => c.header)];
-  const body = rows.map((r) => columns.map((c) => r[c.accessorKey]));
+  const body = rows.map((r) =>
+    columns.map((c) => exportCellValue(c, r, "pdf"))
+  );
 
-  const title = styleCfg.title || "Report";
-  doc.setFontSize(styleCfg.titleFontSize || 14);
-  doc.text(title, 40, 40);
+  const startY = drawFilterSummary(doc, styleCfg.filterSummary, report.top);
 
   autoTable(doc, {
-    startY: 60,
+    startY: startY + 4,
     head,
     body,
-    styles: styleCfg.tableStyles || { fontSize: 8 },
+    styles: { font, ...(styleCfg.tableStyles || { fontSize: 8 }) },
     headStyles: styleCfg.headStyles || { fillColor: [240, 240, 240] },
     bodyStyles: styleCfg.bodyStyles || {},
-    margin: { left: 40, right: 40 },
+    margin: {
+      top: report.top,
+      bottom: report.bottom,
+      left: PDF_MARGIN,
+      right: PDF_MARGIN,
+    },
+    didParseCell: pdfCellStyles(rows, columns),
   });
 
+  report.finish();
   doc.save(fileName);
 };
 
@@ -192,7 +1183,7 @@ const exportQuickBooksJSON = (rows, mapping, fileName = "quickbooks.json") => {
       let cursor = out;
       path.forEach((seg, idx) => {
         if (idx === path.length - 1) {
-          cursor[seg] = r[field];
+          cursor[seg] = getByPath(r, field);
         } else {
           cursor[seg] = cursor[seg] || {};
           cursor = cursor[seg];
@@ -207,172 +1198,2743 @@ const exportQuickBooksJSON = (rows, mapping, fileName = "quickbooks.json") => {
   saveAs(blob, fileName);
 };
 
-const exportFMCSAPDF = (
-  rows,
-  columns,
-  styleCfg = {},
-  fileName = "fmcsa.pdf"
-) => {
-  const doc = new jsPDF({ orientation: "portrait", unit: "pt", format: "a4" });
-  doc.setFontSize(styleCfg.titleFontSize || 16);
-  doc.text(styleCfg.title || "FMCSA Compliance Report", 40, 40);
+// FMCSA driver qualification roster (config.export.fmcsa):
+// {
+//   carrier: { name: 'Acme Freight', usdot: '1234567', mc: 'MC-765432', address: ['12 Bole Rd', 'Addis Ababa'], phone },
+//   fields: { cdlNumber: 'license.number', ... },  // roster field → row path (default: same name)
+//   required: ['name', 'cdlNumber', ...],          // overrides the defaults below
+//   warnWithinDays: 30,                            // expiry warnings (expired is always an error)
+//   strict: true,                                  // default: errors (missing/expired) block the export;
+//                                                  // false lists them and allows "Export anyway"
+//   dateFormat: 'YYYY-MM-DD',
+//   certification: { statement, signerName, signerTitle } | false
+// }
+const FMCSA_ROSTER_FIELDS = [
+  { key: "name", label: "Driver", required: true },
+  { key: "cdlNumber", label: "CDL #", required: true },
+  { key: "cdlState", label: "State", required: true },
+  { key: "cdlClass", label: "Class", required: true },
+  { key: "endorsements", label: "Endorsements" },
+  { key: "cdlExpiry", label: "CDL expiry", required: true, expires: true },
+  {
+    key: "medicalCardExpiry",
+    label: "Medical card expiry",
+    required: true,
+    expires: true,
+  },
+  { key: "hireDate", label: "Hire date", required: true, date: true },
+];
+
+const FMCSA_CERTIFICATION =
+  "I certify that the driver information above is true and complete, and that a driver " +
+  "qualification file is maintained for each listed driver as required by 49 CFR Part 391.";
+
+// Roster values per driver plus the problems found:
+// { fields, drivers: [{ values, issues: { [key]: 'missing' | 'expired' | 'expiring' } }],
+//   problems: [{ severity: 'error' | 'warning', message, blocking? }] }
+export const buildFMCSARoster = (rows, fmcsaCfg = {}, t) => {
+  const label = (key, fallback, options) =>
+    exportLabel(t, key, fallback, options);
+  const required = fmcsaCfg.required;
+  const fields = FMCSA_ROSTER_FIELDS.map((f) => ({
+    ...f,
+    label: label(`fmcsa.fields.${f.key}`, f.label),
+    path: fmcsaCfg.fields?.[f.key] || f.key,
+    required: required ? required.includes(f.key) : f.required,
+  }));
+  const dateFormat = fmcsaCfg.dateFormat || "YYYY-MM-DD";
+  const today = dayjs().startOf("day");
+  const warnDays = fmcsaCfg.warnWithinDays ?? 30;
+  const warnUntil = today.add(warnDays, "day");
+  const problems = [];
+  const problem = (severity, message) =>
+    problems.push({
+      severity,
+      message,
+      blocking: fmcsaCfg.strict !== false && severity === "error",
+    });
+
+  const carrier = fmcsaCfg.carrier || {};
+  if (!carrier.name)
+    problem(
+      "error",
+      label("fmcsa.problems.carrierName", "Carrier name is not configured")
+    );
+  if (!carrier.usdot)
+    problem(
+      "error",
+      label("fmcsa.problems.usdot", "Carrier USDOT number is not configured")
+    );
+
+  const drivers = rows.map((row, i) => {
+    const values = {};
+    const issues = {};
+    const driver =
+      getByPath(row, fields[0].path) ||
+      label("fmcsa.rowLabel", "Row {{n}}", { n: i + 1 });
+    fields.forEach((f) => {
+      let v = getByPath(row, f.path);
+      if (Array.isArray(v)) v = v.join(", ");
+      const empty = v == null || v === "";
+      if (empty) {
+        values[f.key] = "";
+        if (f.required) {
+          issues[f.key] = "missing";
+          problem(
+            "error",
+            label(
+              "fmcsa.problems.missing",
+              "{{driver}}: {{field}} is missing",
+              {
+                driver,
+                field: f.label,
+              }
+            )
+          );
+        }
+        return;
+      }
+      if (!f.date && !f.expires) {
+        values[f.key] = String(v);
+        return;
+      }
+      const d = toDayjs(v);
+      values[f.key] = d ? d.format(dateFormat) : String(v);
+      if (!d) {
+        issues[f.key] = "missing";
+        problem(
+          "error",
+          label(
+            "fmcsa.problems.invalid",
+            "{{driver}}: {{field}} is not a valid date",
+            { driver, field: f.label }
+          )
+        );
+      } else if (f.expires && d.isBefore(today)) {
+        issues[f.key] = "expired";
+        problem(
+          "error",
+          label(
+            "fmcsa.problems.expired",
+            "{{driver}}: {{field}} {{date}} has passed",
+            { driver, field: f.label, date: values[f.key] }
+          )
+        );
+      } else if (f.expires && d.isBefore(warnUntil)) {
+        issues[f.key] = "expiring";
+        problem(
+          "warning",
+          label(
+            "fmcsa.problems.expiring",
+            "{{driver}}: {{field}} {{date}} is within {{days}} days",
+            { driver, field: f.label, date: values[f.key], days: warnDays }
+          )
+        );
+      }
+    });
+    return { values, issues };
+  });
+  return { fields, drivers, problems };
+};
+
+// Signature lines after the roster (on a new page when the last one is full)
+const drawFMCSACertification = (doc, report, certification = {}, y, t) => {
+  const width = doc.internal.pageSize.getWidth() - PDF_MARGIN * 2;
+  const height = doc.internal.pageSize.getHeight();
+  doc.setFont(report.font, "normal");
+  doc.setFontSize(9);
+  const statement = doc.splitTextToSize(
+    certification.statement ||
+      exportLabel(t, "fmcsa.certification", FMCSA_CERTIFICATION),
+    width
+  );
+  if (y + statement.length * 11 + 90 > height - report.bottom) {
+    doc.addPage();
+    y = report.top;
+  }
+  doc.setFont(report.font, "bold");
   doc.setFontSize(10);
   doc.text(
-    `Generated: ${new Date().toISOString().slice(0, 16).replace("T", " ")}`,
-    40,
-    60
+    exportLabel(t, "fmcsa.certificationTitle", "Certification"),
+    PDF_MARGIN,
+    y
   );
+  doc.setFont(report.font, "normal");
+  doc.setFontSize(9);
+  doc.text(statement, PDF_MARGIN, y + 14);
+  const lineY = y + 14 + statement.length * 11 + 40;
+  const slot = width / 3;
+  [
+    [exportLabel(t, "fmcsa.signature", "Signature"), ""],
+    [
+      exportLabel(t, "fmcsa.signerName", "Name / title"),
+      [certification.signerName, certification.signerTitle]
+        .filter(Boolean)
+        .join(", "),
+    ],
+    [exportLabel(t, "fmcsa.signedOn", "Date"), ""],
+  ].forEach(([caption, prefill], i) => {
+    const x = PDF_MARGIN + i * slot;
+    if (prefill) doc.text(prefill, x, lineY - 4);
+    doc.setDrawColor(0);
+    doc.line(x, lineY, x + slot - 20, lineY);
+    doc.setFontSize(8);
+    doc.text(caption, x, lineY + 10);
+    doc.setFontSize(9);
+  });
+};
 
-  const head = [columns.map((c) => c.header)];
-  const body = rows.map((r) => columns.map((c) => r[c.accessorKey]));
+const FMCSA_ISSUE_COLORS = {
+  missing: { fillColor: [253, 226, 226] },
+  expired: { fillColor: [253, 226, 226], textColor: [183, 28, 28] },
+  expiring: { fillColor: [255, 243, 205] },
+};
+
+const exportFMCSARoster = async (
+  rows,
+  fmcsaCfg = {},
+  styleCfg = {},
+  fileName = "fmcsa.pdf",
+  t
+) => {
+  const carrier = fmcsaCfg.carrier || {};
+  // Carrier block from config unless the style sets its own company block
+  const company = styleCfg.company || {
+    name: carrier.name,
+    lines: [
+      [
+        carrier.usdot && `USDOT ${carrier.usdot}`,
+        carrier.mc && `MC ${String(carrier.mc).replace(/^MC-?\s*/i, "")}`,
+      ]
+        .filter(Boolean)
+        .join("  ·  "),
+      ...(carrier.address || []),
+      carrier.phone,
+    ].filter(Boolean),
+  };
+  const report = await createPdfReport(
+    { ...styleCfg, company },
+    {
+      orientation: "landscape",
+      title: "Driver Qualification Roster",
+      titleFontSize: 16,
+    },
+    t
+  );
+  const { doc, font } = report;
+  const { fields, drivers } = buildFMCSARoster(rows, fmcsaCfg, t);
+  const startY = drawFilterSummary(doc, styleCfg.filterSummary, report.top);
 
   autoTable(doc, {
-    startY: 80,
-    head,
-    body,
-    styles: styleCfg.tableStyles || { fontSize: 8 },
+    startY: startY + 4,
+    head: [["#", ...fields.map((f) => f.label)]],
+    body: drivers.map((d, i) => [
+      i + 1,
+      ...fields.map((f) => d.values[f.key] || "—"),
+    ]),
+    styles: { font, ...(styleCfg.tableStyles || { fontSize: 8 }) },
     headStyles: styleCfg.headStyles || { fillColor: [230, 230, 230] },
-    margin: { left: 40, right: 40 },
+    margin: {
+      top: report.top,
+      bottom: report.bottom,
+      left: PDF_MARGIN,
+      right: PDF_MARGIN,
+    },
+    didParseCell: (data) => {
+      if (data.section !== "body" || data.column.index === 0) return;
+      const issue =
+        drivers[data.row.index]?.issues[fields[data.column.index - 1].key];
+      if (issue) Object.assign(data.cell.styles, FMCSA_ISSUE_COLORS[issue]);
+    },
   });
 
+  const y = doc.lastAutoTable.finalY + 16;
+  doc.setFont(font, "normal");
+  doc.setFontSize(9);
+  doc.text(
+    exportLabel(t, "fmcsa.driverCount", "Drivers listed: {{count}}", {
+      count: drivers.length,
+    }),
+    PDF_MARGIN,
+    y
+  );
+  if (fmcsaCfg.certification !== false)
+    drawFMCSACertification(doc, report, fmcsaCfg.certification, y + 28, t);
+
+  report.finish();
   doc.save(fileName);
 };
 
-// ------------------------- Filter logic -------------------------
-const applyClientFilters = (data, filtersCfg, filtersState) => {
-  if (!Array.isArray(data)) return [];
-  const active = filtersCfg || [];
-  return data.filter((row) => {
-    return active.every((f) => {
-      const field = f.field;
-      const value = row[field];
-      const fs = filtersState[field];
-
-      if (f.type === "select") {
-        if (!fs || fs.length === 0) return true; // no selection → pass
-        // support multi or single
-        const selected = Array.isArray(fs) ? fs : [fs];
-        return selected.includes(value);
-      }
+// ------------------------- Exporter registry -------------------------
+// An exporter bundles one export format:
+//   { labelKey, label, icon, extension, fileSuffix?, run(rows, columns, ctx), validate? }
+// icon: a component (FooIcon) or an element (<FooIcon />); run may be async.
+// validate(rows, columns, ctx) → [{ severity: 'error' | 'warning', message, blocking? }]:
+// problems are listed for review before run; any blocking one prevents the export.
+// ctx = { fileName, fileNameBase, style (export.styles[id]), options (config.export),
+//         filters ([{ label, text }] from describeActiveFilters),
+//         filterSummary (translated one-line text or undefined), t }
+// Host apps add or override exporters with config.export.exporters = { myFormat: { ... } }.
+const builtinExporters = {
+  csv: {
+    labelKey: "exports.csv",
+    label: "CSV",
+    icon: TableViewOutlinedIcon,
+    extension: "csv",
+    run: (rows, columns, { fileName }) => {
+      const csv = toCSV(rows, columns);
+      saveAs(new Blob([csv], { type: "text/csv;charset=utf-8;" }), fileName);
+    },
+  },
+  excel: {
+    labelKey: "exports.excel",
+    label: "Excel",
+    icon: GridOnOutlinedIcon,
+    extension: "xlsx",
+    run: (rows, columns, { fileName, style, filters, t }) =>
+      exportExcel(rows, columns, fileName, { ...style, filters }, t),
+  },
+  pdf: {
+    labelKey: "exports.pdf",
+    label: "PDF",
+    icon: PictureAsPdfOutlinedIcon,
+    extension: "pdf",
+    run: (rows, columns, { fileName, style, filterSummary, t }) =>
+      exportPDF(
+        rows,
+        columns,
+        fileName,
+        withFilterSummary(style, filterSummary),
+        t
+      ),
+  },
+  quickbooks: {
+    labelKey: "exports.quickbooks",
+    label: "QuickBooks",
+    icon: DataObjectOutlinedIcon,
+    extension: "json",
+    fileSuffix: "-quickbooks",
+    run: (rows, columns, { fileName, options }) =>
+      exportQuickBooksJSON(rows, options?.quickBooksMapping || {}, fileName),
+  },
+  fmcsa: {
+    labelKey: "exports.fmcsa",
+    label: "FMCSA",
+    icon: PictureAsPdfOutlinedIcon,
+    extension: "pdf",
+    fileSuffix: "-fmcsa",
+    validate: (rows, columns, { options, t }) =>
+      buildFMCSARoster(rows, options?.fmcsa, t).problems,
+    run: (rows, columns, { fileName, style, options, filterSummary, t }) =>
+      exportFMCSARoster(
+        rows,
+        options?.fmcsa,
+        withFilterSummary(style, filterSummary),
+        fileName,
+        t
+      ),
+  },
+};
 
-      if (f.type === "text") {
-        const q = (fs || "").trim().toLowerCase();
-        if (!q) return true;
-        const hay = (value || "").toString().toLowerCase();
-        return hay.includes(q);
-      }
+// Built-ins merged with config.export.exporters (config wins)
+export const getExporters = (exportCfg) => ({
+  ...builtinExporters,
+  ...(exportCfg?.exporters || {}),
+});
 
-      if (f.type === "date") {
-        // fs can be { preset: {...}, start: dateStr, end: dateStr }
-        let start = fs?.start ? dayjs(fs.start).startOf("day") : null;
-        let end = fs?.end ? dayjs(fs.end).endOf("day") : null;
-        if (fs?.preset) {
-          const range = getPresetDateRange(fs.preset);
-          start = range.start || start;
-          end = range.end || end;
-        }
-        if (!start && !end) return true;
-        const dt = dayjs(value);
-        if (!dt.isValid()) return false;
-        if (start && dt.isBefore(start)) return false;
-        if (end && dt.isAfter(end)) return false;
-        return true;
-      }
+// Reports state which filters produced them (styles.*.filterSummary: false to omit)
+export const withFilterSummary = (style = {}, filterSummary) =>
+  style.filterSummary === false || !filterSummary
+    ? style
+    : { ...style, filterSummary };
 
-      return true; // unknown filter types pass
-    });
-  });
+const exporterIcon = (icon) => {
+  if (React.isValidElement(icon)) return icon;
+  const Icon = icon || DownloadOutlinedIcon;
+  return <Icon />;
 };
 
-// ------------------------- Data hook (mock vs API) -------------------------
-const useConfigurableData = (
-  config,
-  filtersState,
-  paginationState,
-  sortingState
-) => {
-  const [data, setData] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+// ------------------------- Quick search -------------------------
+// config.quickSearch = { enabled, param: 'q', fields?, fuzzy: true, debounceMs, placeholderKey }
+// Searches every column (or `fields`); the query is split into terms ("quoted phrases" stay
+// whole) and a row matches when every term is found in some field. Fuzzy terms (4+ chars)
+// also match words within a small edit distance. Server filtering receives it as `q`.
+export const parseQuickSearch = (q) =>
+  Array.from(String(q || "").matchAll(/"([^"]+)"|(\S+)/g)).map((m) => ({
+    text: (m[1] ?? m[2]).toLowerCase(),
+    phrase: m[1] != null,
+  }));
 
-  const fetchData = async () => {
-    setError(null);
-    const ds = config?.dataSource || { mode: "mock" };
-    try {
-      if (ds.mode === "mock") {
-        const src = Array.isArray(ds.mockData) ? ds.mockData : [];
-        if (
-          config?.server?.filtering ||
-          config?.server?.sorting ||
-          config?.server?.pagination
-        ) {
-          // You can simulate server logic here if needed; for now return full mock and let client filter/sort
-        }
-        setData(src);
-      } else if (ds.mode === "api") {
-        setLoading(true);
-        const url = new URL(ds.url, window.location.origin);
-        const headers = ds.headers || {};
-
-        // If server-driven, attach filters/sort/pagination
-        if (config?.server?.filtering) {
-          // naive example: add ?field=value for select/text; date as from/to
-          (config.filters || []).forEach((f) => {
-            const fs = filtersState[f.field];
-            if (!fs) return;
-            if (f.type === "select") {
-              const v = Array.isArray(fs) ? fs.join(",") : fs;
-              if (v) url.searchParams.set(f.field, v);
-            } else if (f.type === "text") {
-              if (fs) url.searchParams.set(f.field, fs);
-            } else if (f.type === "date") {
-              let { start, end, preset } = fs;
-              if (preset) {
-                const r = getPresetDateRange(preset);
-                start = r.start?.toISOString();
-                end = r.end?.toISOString();
-              }
-              if (start)
-                url.searchParams.set(
-                  `${f.field}From`,
-                  dayjs(start).toISOString()
-                );
-              if (end)
-                url.searchParams.set(`${f.field}To`, dayjs(end).toISOString());
-            }
-          });
+// Optimal string alignment distance (adjacent swaps cost 1), capped at max + 1
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1])
+        cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+};
+
+// A word matches a fuzzy term when it (or its prefix, while typing) is close enough
+const fuzzyWordMatch = (word, term) => {
+  const max = term.length >= 8 ? 2 : 1;
+  return (
+    editDistance(word, term, max) <= max ||
+    (word.length > term.length &&
+      editDistance(word.slice(0, term.length), term, max) <= max)
+  );
+};
+
+// [[start, end], …] of the parts of `text` matched by the terms (merged, sorted)
+export const quickSearchRanges = (text, terms, fuzzy) => {
+  const hay = String(text ?? "").toLowerCase();
+  const ranges = [];
+  terms.forEach((term) => {
+    let found = false;
+    for (let i = hay.indexOf(term.text); i !== -1; ) {
+      ranges.push([i, i + term.text.length]);
+      found = true;
+      i = hay.indexOf(term.text, i + term.text.length);
+    }
+    if (found || !fuzzy || term.phrase || term.text.length < 4) return;
+    for (const m of hay.matchAll(/[\p{L}\p{N}]+/gu))
+      if (fuzzyWordMatch(m[0], term.text))
+        ranges.push([m.index, m.index + m[0].length]);
+  });
+  return ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((acc, r) => {
+      const last = acc[acc.length - 1];
+      if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+      else acc.push([...r]);
+      return acc;
+    }, []);
+};
+
+const quickSearchFields = (f, row) =>
+  f.fields || f.columnFields || Object.keys(row);
+
+// f.text(row, field) → the text the cell shows (see withQuickSearchText), else the raw value
+export const matchQuickSearch = (row, q, f) => {
+  const terms = parseQuickSearch(q);
+  const values = quickSearchFields(f, row).map((field) =>
+    f.text ? f.text(row, field) : fieldValue(row, f, field)
+  );
+  return terms.every((term) =>
+    values.some((v) => quickSearchRanges(v, [term], f.fuzzy !== false).length)
+  );
+};
+
+// The quick search as a (header-placed) filter, so URL state, saved views,
+// debouncing, chips and server conditions treat it like any other filter
+const withQuickSearch = (config) => {
+  const qs = config?.quickSearch;
+  if (!qs || qs.enabled === false) return config;
+  return {
+    ...config,
+    filters: [
+      ...(config.filters || []),
+      {
+        type: "quickSearch",
+        field: qs.param || "q",
+        fields: qs.fields,
+        columnFields: (config.columns || []).map(columnId).filter(Boolean),
+        fuzzy: qs.fuzzy,
+        debounceMs: qs.debounceMs,
+        labelKey: qs.labelKey || "quickSearch.label",
+        label: "Search",
+        placeholderKey: qs.placeholderKey || "quickSearch.placeholder",
+        placeholder: 'Search… (use "quotes" for phrases)',
+        inHeader: true,
+      },
+    ],
+  };
+};
+
+// Typed columns are matched as formatted ("Mar 2, 2025", "$1,200.00"), the same text
+// that gets highlighted; custom Cell renderers and other fields match their raw value
+export const withQuickSearchText = (filters, columns, formatCtx) => {
+  const formatters = new Map(
+    (columns || [])
+      .filter((c) => c.type && !c.Cell)
+      .map((c) => [columnId(c), createColumnFormatter(c, formatCtx)])
+  );
+  if (!formatters.size) return filters;
+  return (filters || []).map((f) =>
+    f.type === "quickSearch"
+      ? {
+          ...f,
+          text: (row, field) => {
+            const v = fieldValue(row, f, field);
+            return formatters.has(field) ? formatters.get(field)(v) : v;
+          },
+        }
+      : f
+  );
+};
+
+const QuickSearchBox = ({ f, value, onChange, inDrawer, t }) => (
+  <TextField
+    size="small"
+    fullWidth={inDrawer}
+    sx={{ minWidth: inDrawer ? 0 : 240 }}
+    placeholder={t(f.placeholderKey, f.placeholder)}
+    inputProps={{ "aria-label": filterLabel(t, f) }}
+    value={value || ""}
+    onChange={(e) => onChange(e.target.value)}
+    InputProps={{
+      startAdornment: (
+        <InputAdornment position="start">
+          <SearchIcon fontSize="small" />
+        </InputAdornment>
+      ),
+      endAdornment: value ? (
+        <InputAdornment position="end">
+          <IconButton
+            size="small"
+            aria-label={t("filters.clear", "Clear")}
+            onClick={() => onChange(undefined)}
+          >
+            <CloseIcon fontSize="small" />
+          </IconButton>
+        </InputAdornment>
+      ) : null,
+    }}
+  />
+);
+
+// Wraps matched text in <mark>; walks element children so custom Cell output
+// (e.g. <Typography>…</Typography>) is highlighted where it renders plain text
+const highlightNode = (node, terms, fuzzy) => {
+  if (typeof node === "string" || typeof node === "number") {
+    const text = String(node);
+    const ranges = quickSearchRanges(text, terms, fuzzy);
+    if (!ranges.length) return node;
+    const parts = [];
+    let pos = 0;
+    ranges.forEach(([start, end]) => {
+      if (start > pos) parts.push(text.slice(pos, start));
+      parts.push(
+        <Box
+          component="mark"
+          key={start}
+          sx={{ bgcolor: "warning.light", color: "inherit", borderRadius: 0.5 }}
+        >
+          {text.slice(start, end)}
+        </Box>
+      );
+      pos = end;
+    });
+    if (pos < text.length) parts.push(text.slice(pos));
+    return parts;
+  }
+  if (Array.isArray(node))
+    return node.map((n, i) => (
+      <React.Fragment key={i}>{highlightNode(n, terms, fuzzy)}</React.Fragment>
+    ));
+  if (React.isValidElement(node) && node.props?.children != null)
+    return React.cloneElement(
+      node,
+      undefined,
+      highlightNode(node.props.children, terms, fuzzy)
+    );
+  return node;
+};
+
+// ------------------------- Filter type registry -------------------------
+// A filter type bundles everything the page needs for one kind of filter:
+//   Component({ f, value, onChange, inDrawer, t, filtersState, data, config })
+//                                                    UI control in DetachedFilters
+//   match(row, value, f) → boolean                   client predicate (only called when active)
+//   toConditions(f, value) → [{ field, op, value }]  server conditions (see Query serializers)
+//   describe(f, value, t) → string                   optional; chip bar & export summary text
+//   isActive(value) → boolean                        optional; default: any non-empty value
+//   toUrl(value) → [[suffix, string], ...]           optional; '' suffix = the field's own key
+//   fromUrl(get, getAll) → value | undefined         optional; get/getAll take a suffix
+//   debounce: true                                   apply after a typing pause (text inputs)
+// Host apps add or override types with config.filterTypes = { myType: { ... } }.
+
+// Does a filter value narrow the data? (empty strings/arrays and blank date ranges don't)
+const isFilterValueActive = (value) => {
+  if (value == null || value === "") return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === "object")
+    return Object.values(value).some(isFilterValueActive);
+  return true;
+};
+
+const toBool = (v) =>
+  v === true ||
+  v === 1 ||
+  ["true", "1", "yes", "y"].includes(String(v).toLowerCase());
+
+const filterLabel = (t, f) => t(f.labelKey, f.label || f.field);
+
+// Default presets for date filters without their own list
+const DEFAULT_DATE_PRESETS = [
+  { key: "filters.date.today", label: "Today", preset: { type: "today" } },
+  {
+    key: "filters.date.yesterday",
+    label: "Yesterday",
+    preset: { type: "yesterday" },
+  },
+  {
+    key: "filters.date.thisWeek",
+    label: "This week",
+    preset: { type: "thisWeek" },
+  },
+  {
+    key: "filters.date.lastWeek",
+    label: "Last week",
+    preset: { type: "lastWeek" },
+  },
+  {
+    key: "filters.date.last7Days",
+    label: "Last 7 days",
+    preset: { type: "lastNDays", n: 7 },
+  },
+  {
+    key: "filters.date.last30Days",
+    label: "Last 30 days",
+    preset: { type: "lastNDays", n: 30 },
+  },
+  {
+    key: "filters.date.thisMonth",
+    label: "This month",
+    preset: { type: "thisMonth" },
+  },
+  {
+    key: "filters.date.lastMonth",
+    label: "Last month",
+    preset: { type: "lastMonth" },
+  },
+  {
+    key: "filters.date.quarterToDate",
+    label: "Quarter to date",
+    preset: { type: "quarterToDate" },
+  },
+  {
+    key: "filters.date.yearToDate",
+    label: "Year to date",
+    preset: { type: "yearToDate" },
+  },
+  {
+    key: "filters.date.last5Years",
+    label: "Last 5 years",
+    preset: { type: "lastNYears", n: 5 },
+  },
+];
+
+// Page date settings with per-filter overrides (f.timezone, f.weekStartsOn, f.fiscalYearStartMonth)
+const resolveDateSettings = (f, dates = {}) => ({
+  ...dates,
+  timezone: f?.timezone ?? dates.timezone,
+  weekStartsOn: f?.weekStartsOn ?? dates.weekStartsOn,
+  fiscalYearStartMonth: f?.fiscalYearStartMonth ?? dates.fiscalYearStartMonth,
+});
+
+// Resolves a date filter value { preset, start, end } to dayjs bounds (null = open).
+// Date-only values cover whole days; with f.withTime they are exact instants.
+const resolveDateFilterRange = (fs, f, dates) => {
+  const settings = resolveDateSettings(f, dates);
+  const tz = settings.timezone;
+  let start = fs?.start ? parseInTz(fs.start, tz) : null;
+  let end = fs?.end ? parseInTz(fs.end, tz) : null;
+  if (!f?.withTime) {
+    start = start && start.startOf("day");
+    end = end && end.endOf("day");
+  }
+  if (fs?.preset) {
+    const range = getPresetDateRange(fs.preset, settings);
+    start = range.start || start;
+    end = range.end || end;
+  }
+  return { start, end };
+};
+
+// Select options come from one of:
+//   f.options: [{ value, label | labelKey, parent?, count? }]   static (parent → cascading)
+//   f.deriveOptions: true                                         distinct values of the loaded rows,
+//                                                                 with row counts (other filters applied);
+//                                                                 with server pagination only the current
+//                                                                 page is loaded, so counts are left out
+//   f.optionsSource: { url, itemsPath, valuePath, labelPath, countPath,
+//                      search: true, searchParam: 'q', minChars, parentParam }   endpoint
+// f.dependsOn: 'region' → options narrow to the parent's value; changing the parent clears this filter.
+export const useSelectOptions = ({ f, filtersState, data, config }) => {
+  const parentValue = f.dependsOn ? filtersState?.[f.dependsOn] : undefined;
+  const parentValues = isFilterValueActive(parentValue)
+    ? Array.isArray(parentValue)
+      ? parentValue
+      : [parentValue]
+    : null;
+  const parentKey = parentValues ? JSON.stringify(parentValues) : "";
+  const src = f.optionsSource;
+  const srcUrl = src?.url;
+  const [remote, setRemote] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [search, setSearch] = useState("");
+  // Latest source/config (auth hooks, onError) without re-querying on every render
+  const latestRef = useRef();
+  latestRef.current = { src, config, dependsOn: f.dependsOn };
+
+  // Endpoint options (re-queried on search input and parent changes)
+  useEffect(() => {
+    const { src, config, dependsOn } = latestRef.current;
+    if (!srcUrl) return undefined;
+    if (src.search && search.length < (src.minChars ?? 0)) return undefined;
+    const controller = new AbortController();
+    const id = setTimeout(
+      async () => {
+        setLoading(true);
+        try {
+          const url = new URL(srcUrl, window.location.origin);
+          if (src.search && search)
+            url.searchParams.set(src.searchParam || "q", search);
+          (parentKey ? JSON.parse(parentKey) : []).forEach((v) =>
+            url.searchParams.append(src.parentParam || dependsOn, v)
+          );
+          const res = await authFetch(config?.dataSource, url.toString(), {
+            headers: src.headers || {},
+            signal: controller.signal,
+          });
+          if (!res.ok) throw httpError(res);
+          const payload = await res.json();
+          const items = src.itemsPath
+            ? getByPath(payload, src.itemsPath)
+            : payload?.data || payload;
+          setRemote(
+            (Array.isArray(items) ? items : []).map((item) =>
+              typeof item === "object"
+                ? {
+                    value: getByPath(item, src.valuePath || "value"),
+                    label: getByPath(item, src.labelPath || "label"),
+                    count: src.countPath
+                      ? getByPath(item, src.countPath)
+                      : undefined,
+                  }
+                : { value: item, label: String(item) }
+            )
+          );
+        } catch (e) {
+          if (!controller.signal.aborted)
+            reportError(config, e, "selectOptions");
+        } finally {
+          if (!controller.signal.aborted) setLoading(false);
+        }
+      },
+      src.search ? src.debounceMs ?? 300 : 0
+    );
+    return () => {
+      clearTimeout(id);
+      controller.abort();
+      // The next run may return early (e.g. below minChars) and never finish loading
+      setLoading(false);
+    };
+  }, [srcUrl, search, parentKey]);
+
+  // Distinct values of the loaded rows with counts, under every *other* active filter
+  const derived = useMemo(() => {
+    if (!f.deriveOptions) return null;
+    const others = (config?.filters || []).filter((o) => o.field !== f.field);
+    const rows = applyClientFilters(
+      data || [],
+      others,
+      filtersState || {},
+      getFilterTypes(config)
+    );
+    const counts = new Map();
+    rows.forEach((r) => {
+      const v = fieldValue(r, f);
+      if (v == null || v === "") return;
+      counts.set(v, (counts.get(v) || 0) + 1);
+    });
+    const known = new Map((f.options || []).map((o) => [o.value, o]));
+    const pageOnly = !!config?.server?.pagination;
+    return Array.from(counts.entries())
+      .map(([value, count]) => ({
+        ...(known.get(value) || {}),
+        value,
+        count: pageOnly ? undefined : count,
+      }))
+      .sort((a, b) => compareValues(a.label ?? a.value, b.label ?? b.value));
+  }, [f, data, filtersState, config]);
+
+  let options = derived || (src?.url ? remote : f.options || []);
+  if (parentValues && !src?.url)
+    options = options.filter(
+      (o) =>
+        o.parent === undefined ||
+        (Array.isArray(o.parent) ? o.parent : [o.parent]).some((p) =>
+          parentValues.includes(p)
+        )
+    );
+  return { options, loading, setSearch };
+};
+
+const optionLabel = (t, opt) =>
+  t(opt.labelKey, opt.label != null ? String(opt.label) : String(opt.value));
+
+const withCount = (f, label, opt) =>
+  opt.count != null && f.showCounts !== false
+    ? `${label} (${opt.count})`
+    : label;
+
+const SelectFilterControl = ({
+  f,
+  value,
+  onChange,
+  inDrawer,
+  t,
+  filtersState,
+  data,
+  config,
+}) => {
+  const { options, loading, setSearch } = useSelectOptions({
+    f,
+    filtersState,
+    data,
+    config,
+  });
+  // Labels of options seen so far, so selected values keep their label when a
+  // search narrows the option list
+  const seen = useRef(new Map());
+  options.forEach((o) => seen.current.set(o.value, o));
+
+  // Large or searchable lists → autocomplete
+  if (f.autocomplete || f.optionsSource?.search) {
+    const toOption = (v) => seen.current.get(v) || { value: v, label: v };
+    const selected = f.multiple
+      ? (value || []).map(toOption)
+      : value != null && value !== ""
+      ? toOption(value)
+      : null;
+    return (
+      <Autocomplete
+        size="small"
+        multiple={!!f.multiple}
+        fullWidth={inDrawer}
+        sx={{ minWidth: inDrawer ? "100%" : 220 }}
+        options={options}
+        value={selected}
+        loading={loading}
+        filterOptions={f.optionsSource?.search ? (x) => x : undefined}
+        getOptionLabel={(o) => optionLabel(t, o)}
+        isOptionEqualToValue={(o, v) => o.value === v.value}
+        onInputChange={(e, input, reason) =>
+          reason === "input" && setSearch(input)
         }
-        if (config?.server?.sorting && sortingState?.[0]) {
-          const s = sortingState[0];
-          url.searchParams.set("sortBy", s.id);
-          url.searchParams.set("sortDir", s.desc ? "desc" : "asc");
+        onChange={(e, next) =>
+          onChange(
+            f.multiple
+              ? next.map((o) => o.value)
+              : next
+              ? next.value
+              : undefined
+          )
         }
-        if (config?.server?.pagination && paginationState) {
-          url.searchParams.set("page", String(paginationState.pageIndex + 1));
-          url.searchParams.set("pageSize", String(paginationState.pageSize));
+        renderOption={(props, o) => (
+          <li {...props} key={String(o.value)}>
+            {withCount(f, optionLabel(t, o), o)}
+          </li>
+        )}
+        renderInput={(params) => (
+          <TextField
+            {...params}
+            label={filterLabel(t, f)}
+            placeholder={t(f.placeholderKey, f.placeholder || "")}
+            InputProps={{
+              ...params.InputProps,
+              endAdornment: (
+                <>
+                  {loading && <CircularProgress color="inherit" size={16} />}
+                  {params.InputProps.endAdornment}
+                </>
+              ),
+            }}
+          />
+        )}
+      />
+    );
+  }
+
+  return (
+    <FormControl
+      size="small"
+      fullWidth={inDrawer}
+      sx={{ minWidth: inDrawer ? "100%" : 160 }}
+    >
+      <InputLabel>{filterLabel(t, f)}</InputLabel>
+      <Select
+        label={filterLabel(t, f)}
+        multiple={!!f.multiple}
+        value={value ?? (f.multiple ? [] : "")}
+        onChange={(e) => onChange(e.target.value)}
+        renderValue={
+          f.multiple
+            ? (vals) =>
+                vals
+                  .map((v) =>
+                    optionLabel(t, seen.current.get(v) || { value: v })
+                  )
+                  .join(", ")
+            : undefined
         }
+      >
+        {f.includeEmpty && !f.multiple && (
+          <MenuItem value="">
+            <em>{t(f.emptyLabelKey || "common.all", "All")}</em>
+          </MenuItem>
+        )}
+        {options.map((opt) => (
+          <MenuItem key={String(opt.value)} value={opt.value}>
+            {withCount(f, optionLabel(t, opt), opt)}
+          </MenuItem>
+        ))}
+      </Select>
+    </FormControl>
+  );
+};
 
-        const res = await fetch(url.toString(), {
-          method: ds.method || "GET",
-          headers,
-        });
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        const payload = await res.json();
+const TextFilterControl = ({ f, value, onChange, inDrawer, t }) => (
+  <TextField
+    size="small"
+    fullWidth={inDrawer}
+    sx={{ minWidth: inDrawer ? "100%" : 220 }}
+    label={filterLabel(t, f)}
+    placeholder={t(f.placeholderKey, f.placeholder || "")}
+    value={value || ""}
+    onChange={(e) => onChange(e.target.value)}
+  />
+);
+
+const DateFilterControl = ({ f, value, onChange, inDrawer, t, config }) => {
+  const { i18n } = useTranslation();
+  const fs = value || {};
+  const presets = f.presets || DEFAULT_DATE_PRESETS;
+  const { timezone: tz, locale } = resolveDateSettings(f, config?.dates);
+  const adapterLocale = resolveDayjsLocale(
+    locale || config?.locale || i18n.language
+  );
+  const Picker = f.withTime ? DateTimePicker : DatePicker;
+  const fmt = f.withTime ? "YYYY-MM-DDTHH:mm" : "YYYY-MM-DD";
+  const pickerProps = (key, labelKey, fallback) => ({
+    label: t(labelKey, fallback),
+    timezone: tz || "default",
+    value: fs[key] ? parseInTz(fs[key], tz) : null,
+    // Picking a custom bound replaces the preset
+    onChange: (d) =>
+      onChange({
+        ...fs,
+        preset: undefined,
+        [key]: d && d.isValid() ? d.format(fmt) : undefined,
+      }),
+    slotProps: { textField: { size: "small", fullWidth: inDrawer } },
+    sx: { minWidth: inDrawer ? "100%" : f.withTime ? 220 : 160 },
+  });
+  return (
+    <LocalizationProvider
+      dateAdapter={AdapterDayjs}
+      adapterLocale={adapterLocale}
+    >
+      <Stack
+        direction={inDrawer ? "column" : "row"}
+        spacing={inDrawer ? 2 : 1}
+        sx={{
+          width: inDrawer ? "100%" : "auto",
+          flexWrap: inDrawer ? "nowrap" : "wrap",
+        }}
+      >
+        <FormControl
+          size="small"
+          fullWidth={inDrawer}
+          sx={{ minWidth: inDrawer ? "100%" : 180 }}
+        >
+          <InputLabel>{filterLabel(t, f)}</InputLabel>
+          <Select
+            label={filterLabel(t, f)}
+            value={fs?.preset?.type ? JSON.stringify(fs.preset) : ""}
+            onChange={(e) => {
+              const p = e.target.value ? JSON.parse(e.target.value) : undefined;
+              onChange({ ...fs, preset: p });
+            }}
+          >
+            <MenuItem value="">
+              <em>{t("filters.date.custom", "Custom Range")}</em>
+            </MenuItem>
+            {presets.map((p) => (
+              <MenuItem key={p.key} value={JSON.stringify(p.preset)}>
+                {t(p.key, p.label)}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Picker {...pickerProps("start", "filters.date.from", "From")} />
+        <Picker {...pickerProps("end", "filters.date.to", "To")} />
+        {(fs.start || fs.end || fs.preset) && (
+          <Chip
+            size="small"
+            label={t("filters.clear", "Clear")}
+            onClick={() => onChange(undefined)}
+          />
+        )}
+      </Stack>
+    </LocalizationProvider>
+  );
+};
+
+const NumberRangeFilterControl = ({ f, value, onChange, inDrawer, t }) => {
+  const fs = value || {};
+  const set = (key, v) => onChange({ ...fs, [key]: v === "" ? undefined : v });
+  return (
+    <Stack
+      direction="row"
+      spacing={1}
+      sx={{ width: inDrawer ? "100%" : "auto" }}
+    >
+      <TextField
+        type="number"
+        size="small"
+        fullWidth={inDrawer}
+        sx={{ minWidth: inDrawer ? 0 : 110, maxWidth: inDrawer ? "none" : 140 }}
+        label={`${filterLabel(t, f)} ${t("filters.number.min", "min")}`}
+        inputProps={{ step: f.step ?? "any" }}
+        value={fs.min ?? ""}
+        onChange={(e) => set("min", e.target.value)}
+      />
+      <TextField
+        type="number"
+        size="small"
+        fullWidth={inDrawer}
+        sx={{ minWidth: inDrawer ? 0 : 110, maxWidth: inDrawer ? "none" : 140 }}
+        label={`${filterLabel(t, f)} ${t("filters.number.max", "max")}`}
+        inputProps={{ step: f.step ?? "any" }}
+        value={fs.max ?? ""}
+        onChange={(e) => set("max", e.target.value)}
+      />
+    </Stack>
+  );
+};
+
+// Tri-state select: any / one value / the other (boolean & exists filters)
+const TriStateFilterControl =
+  (choices) =>
+  ({ f, value, onChange, inDrawer, t }) =>
+    (
+      <FormControl
+        size="small"
+        fullWidth={inDrawer}
+        sx={{ minWidth: inDrawer ? "100%" : 140 }}
+      >
+        <InputLabel>{filterLabel(t, f)}</InputLabel>
+        <Select
+          label={filterLabel(t, f)}
+          value={value ?? ""}
+          onChange={(e) => onChange(e.target.value || undefined)}
+        >
+          <MenuItem value="">
+            <em>{t(f.emptyLabelKey || "common.all", "All")}</em>
+          </MenuItem>
+          {choices.map((c) => (
+            <MenuItem key={c.value} value={c.value}>
+              {t(f[c.labelProp] || c.labelKey, c.label)}
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+    );
+
+const BOOLEAN_CHOICES = [
+  {
+    value: "true",
+    labelProp: "trueLabelKey",
+    labelKey: "common.yes",
+    label: "Yes",
+  },
+  {
+    value: "false",
+    labelProp: "falseLabelKey",
+    labelKey: "common.no",
+    label: "No",
+  },
+];
+
+const EXISTS_CHOICES = [
+  {
+    value: "nonEmpty",
+    labelProp: "nonEmptyLabelKey",
+    labelKey: "filters.exists.nonEmpty",
+    label: "Has value",
+  },
+  {
+    value: "empty",
+    labelProp: "emptyValueLabelKey",
+    labelKey: "filters.exists.empty",
+    label: "Empty",
+  },
+];
+
+const describeChoice = (choices) => (f, fs, t) => {
+  const c = choices.find((x) => x.value === fs);
+  return c ? t(f[c.labelProp] || c.labelKey, c.label) : String(fs);
+};
+
+const SEARCH_OPERATORS = ["contains", "startsWith", "equals", "regex"];
+
+const SearchFilterControl = ({ f, value, onChange, inDrawer, t }) => {
+  const fs = value || {};
+  // f.operators: true → all, or a subset like ['contains', 'startsWith']
+  const operators = f.operators === true ? SEARCH_OPERATORS : f.operators || [];
+  return (
+    <Stack
+      direction="row"
+      spacing={1}
+      sx={{ width: inDrawer ? "100%" : "auto" }}
+    >
+      {operators.length > 1 && (
+        <FormControl size="small" sx={{ minWidth: 130 }}>
+          <Select
+            value={fs.op || f.operator || operators[0]}
+            onChange={(e) => onChange({ ...fs, op: e.target.value })}
+          >
+            {operators.map((op) => (
+              <MenuItem key={op} value={op}>
+                {t(`filters.search.ops.${op}`, op)}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      )}
+      <TextField
+        size="small"
+        fullWidth={inDrawer}
+        sx={{ minWidth: inDrawer ? 0 : 220 }}
+        label={filterLabel(t, f)}
+        placeholder={t(f.placeholderKey, f.placeholder || "")}
+        value={fs.q || ""}
+        onChange={(e) => onChange({ ...fs, q: e.target.value })}
+      />
+    </Stack>
+  );
+};
+
+// Case-insensitive text test for the search operators
+const matchText = (hay, q, op) => {
+  const h = (hay ?? "").toString().toLowerCase();
+  const n = q.toLowerCase();
+  if (op === "startsWith") return h.startsWith(n);
+  if (op === "equals") return h === n;
+  if (op === "regex") {
+    try {
+      return new RegExp(q, "i").test((hay ?? "").toString());
+    } catch (e) {
+      return h.includes(n); // incomplete pattern while typing → plain contains
+    }
+  }
+  return h.includes(n);
+};
+
+// Date filter type bound to the page's date settings (config.dates)
+const createDateFilterType = (dates) => ({
+  Component: DateFilterControl,
+  match: (row, fs, f) => {
+    const { start, end } = resolveDateFilterRange(fs, f, dates);
+    if (!start && !end) return true;
+    const dt = dayjs(fieldValue(row, f));
+    if (!dt.isValid()) return false;
+    if (start && dt.isBefore(start)) return false;
+    if (end && dt.isAfter(end)) return false;
+    return true;
+  },
+  // With a timezone the bounds keep their offset (2025-01-01T00:00:00-06:00)
+  toConditions: (f, fs) => {
+    const { start, end } = resolveDateFilterRange(fs, f, dates);
+    const tz = resolveDateSettings(f, dates).timezone;
+    const iso = (d) => (d ? (tz ? d.format() : d.toISOString()) : null);
+    const from = iso(start);
+    const to = iso(end);
+    return from || to
+      ? [{ field: f.field, op: "between", value: { from, to } }]
+      : [];
+  },
+  // Preset label ("Last 30 days") or the custom bounds ("2025-01-01 – 2025-03-31")
+  describe: (f, fs, t) => {
+    if (fs.preset) {
+      const p = (f.presets || DEFAULT_DATE_PRESETS).find(
+        (x) => encodePreset(x.preset) === encodePreset(fs.preset)
+      );
+      return p ? t(p.key, p.label) : encodePreset(fs.preset);
+    }
+    const fmt = (v) => v.replace("T", " ");
+    if (fs.start && fs.end) return `${fmt(fs.start)} – ${fmt(fs.end)}`;
+    return fs.start
+      ? t("filters.summary.from", "from {{value}}", { value: fmt(fs.start) })
+      : t("filters.summary.until", "until {{value}}", { value: fmt(fs.end) });
+  },
+  toUrl: (fs) =>
+    [
+      [".preset", encodePreset(fs.preset)],
+      [".from", fs.start],
+      [".to", fs.end],
+    ].filter(([, v]) => v),
+  fromUrl: (get) => {
+    const preset = decodePreset(get(".preset"));
+    const start = get(".from") || undefined;
+    const end = get(".to") || undefined;
+    return preset || start || end ? { preset, start, end } : undefined;
+  },
+});
+
+export const builtinFilterTypes = {
+  select: {
+    Component: SelectFilterControl,
+    // Compared as strings: ids from JSON, the URL or a server may be "1" or 1
+    match: (row, fs, f) =>
+      (Array.isArray(fs) ? fs : [fs])
+        .map(String)
+        .includes(String(fieldValue(row, f) ?? "")),
+    toConditions: (f, fs) => {
+      const values = (Array.isArray(fs) ? fs : [fs]).filter(
+        (v) => v !== "" && v != null
+      );
+      return values.length ? [{ field: f.field, op: "in", value: values }] : [];
+    },
+    describe: (f, fs, t) =>
+      (Array.isArray(fs) ? fs : [fs])
+        .map((v) =>
+          optionLabel(
+            t,
+            (f.options || []).find((o) => String(o.value) === String(v)) || {
+              value: v,
+            }
+          )
+        )
+        .join(", "),
+    toUrl: (fs) => (Array.isArray(fs) ? fs : [fs]).map((v) => ["", String(v)]),
+    // URL values are strings: map them back to the (e.g. numeric) option values
+    fromUrl: (get, getAll, f) => {
+      const values = getAll("").map(
+        (s) => (f.options || []).find((o) => String(o.value) === s)?.value ?? s
+      );
+      if (!values.length) return undefined;
+      return f.multiple ? values : values[0];
+    },
+  },
+  text: {
+    Component: TextFilterControl,
+    debounce: true,
+    isActive: (fs) => !!(fs || "").trim(),
+    match: (row, fs, f) => matchText(fieldValue(row, f), fs.trim(), "contains"),
+    toConditions: (f, fs) => [{ field: f.field, op: "contains", value: fs }],
+    describe: (f, fs) => `"${fs.trim()}"`,
+  },
+  date: createDateFilterType(),
+  numberRange: {
+    Component: NumberRangeFilterControl,
+    debounce: true,
+    match: (row, fs, f) => {
+      const v = fieldValue(row, f);
+      const n = Number(v);
+      if (v == null || v === "" || Number.isNaN(n)) return false;
+      if (fs.min != null && fs.min !== "" && n < Number(fs.min)) return false;
+      if (fs.max != null && fs.max !== "" && n > Number(fs.max)) return false;
+      return true;
+    },
+    describe: (f, fs, t) => {
+      const has = (v) => v != null && v !== "";
+      if (has(fs.min) && has(fs.max)) return `${fs.min} – ${fs.max}`;
+      return has(fs.min)
+        ? t("filters.summary.atLeast", "≥ {{value}}", { value: fs.min })
+        : t("filters.summary.atMost", "≤ {{value}}", { value: fs.max });
+    },
+    toConditions: (f, fs) => [
+      {
+        field: f.field,
+        op: "between",
+        value: {
+          from: fs.min != null && fs.min !== "" ? Number(fs.min) : null,
+          to: fs.max != null && fs.max !== "" ? Number(fs.max) : null,
+        },
+      },
+    ],
+    toUrl: (fs) =>
+      [
+        [".min", fs.min],
+        [".max", fs.max],
+      ].filter(([, v]) => v != null && v !== ""),
+    fromUrl: (get) => {
+      const min = get(".min") ?? undefined;
+      const max = get(".max") ?? undefined;
+      return min != null || max != null ? { min, max } : undefined;
+    },
+  },
+  boolean: {
+    // value: 'true' | 'false' | undefined (any)
+    Component: TriStateFilterControl(BOOLEAN_CHOICES),
+    describe: describeChoice(BOOLEAN_CHOICES),
+    match: (row, fs, f) => toBool(fieldValue(row, f)) === (fs === "true"),
+    toConditions: (f, fs) => [
+      { field: f.field, op: "eq", value: fs === "true" },
+    ],
+  },
+  exists: {
+    // value: 'nonEmpty' | 'empty' | undefined (any)
+    Component: TriStateFilterControl(EXISTS_CHOICES),
+    describe: describeChoice(EXISTS_CHOICES),
+    match: (row, fs, f) =>
+      isFilterValueActive(fieldValue(row, f)) === (fs === "nonEmpty"),
+    toConditions: (f, fs) => [
+      { field: f.field, op: "exists", value: fs === "nonEmpty" },
+    ],
+  },
+  quickSearch: {
+    // value: the raw query string; see Quick search
+    Component: QuickSearchBox,
+    debounce: true,
+    isActive: (q) => parseQuickSearch(q).length > 0,
+    match: (row, q, f) => matchQuickSearch(row, q, f),
+    toConditions: (f, q) => [
+      {
+        field: f.field,
+        op: "search",
+        value: q.trim(),
+        ...(f.fields ? { fields: f.fields } : {}),
+      },
+    ],
+    describe: (f, q) => q.trim(),
+  },
+  search: {
+    // value: { q, op }; searches f.fields (default [f.field]); op from f.operators
+    Component: SearchFilterControl,
+    debounce: true,
+    isActive: (fs) => !!(fs?.q || "").trim(),
+    match: (row, fs, f) => {
+      const op = fs.op || f.operator || "contains";
+      const q = fs.q.trim();
+      return (f.fields || [f.field]).some((field) =>
+        matchText(fieldValue(row, f, field), q, op)
+      );
+    },
+    toConditions: (f, fs) => [
+      {
+        field: f.field,
+        fields: f.fields || [f.field],
+        op: fs.op || f.operator || "contains",
+        value: fs.q.trim(),
+      },
+    ],
+    describe: (f, fs, t) => {
+      const op = fs.op || f.operator || "contains";
+      return `${t(`filters.search.ops.${op}`, op)} "${fs.q.trim()}"`;
+    },
+    toUrl: (fs) =>
+      [
+        ["", fs.q],
+        [".op", fs.op],
+      ].filter(([, v]) => v),
+    fromUrl: (get) => {
+      const q = get("");
+      return q ? { q, op: get(".op") || undefined } : undefined;
+    },
+  },
+};
+
+// Built-ins merged with config.filterTypes (config wins)
+export const getFilterTypes = (config) => ({
+  ...builtinFilterTypes,
+  ...(config?.dates ? { date: createDateFilterType(config.dates) } : {}),
+  ...(config?.filterTypes || {}),
+});
+
+export const isFilterActive = (def, value) =>
+  def?.isActive ? def.isActive(value) : isFilterValueActive(value);
+
+const hasActiveFilters = (filtersCfg, filtersState, filterTypes) =>
+  (filtersCfg || []).some((f) =>
+    isFilterActive(filterTypes[f.type], filtersState?.[f.field])
+  );
+
+// Active filters as translated text: [{ field, label: 'Created', text: 'Last 30 days' }]
+export const describeActiveFilters = (config, filtersState, t) => {
+  const filterTypes = getFilterTypes(config);
+  return (config?.filters || [])
+    .filter((f) => isFilterActive(filterTypes[f.type], filtersState?.[f.field]))
+    .map((f) => {
+      const def = filterTypes[f.type];
+      const value = filtersState[f.field];
+      return {
+        field: f.field,
+        label: filterLabel(t, f),
+        text: def?.describe
+          ? def.describe(f, value, t)
+          : Array.isArray(value)
+          ? value.join(", ")
+          : String(value),
+      };
+    });
+};
+
+// One-line summary for report headers: "Created: Last 30 days; Status: Active, Inactive"
+export const filterSummaryText = (items) =>
+  items.map((d) => `${d.label}: ${d.text}`).join("; ");
+
+// ------------------------- Filter logic -------------------------
+export const applyClientFilters = (
+  data,
+  filtersCfg,
+  filtersState,
+  filterTypes = builtinFilterTypes
+) => {
+  if (!Array.isArray(data)) return [];
+  const active = (filtersCfg || []).filter((f) =>
+    isFilterActive(filterTypes[f.type], filtersState[f.field])
+  );
+  return data.filter((row) =>
+    active.every((f) => {
+      const def = filterTypes[f.type];
+      if (!def?.match) return true; // unknown filter types pass
+      return def.match(row, filtersState[f.field], f);
+    })
+  );
+};
+
+// Text-like filters apply after the user pauses typing (config.debounceMs, per filter
+// f.debounceMs, default 300ms); any other filter change applies immediately.
+export const useDebouncedFilters = (filtersState, config) => {
+  const [applied, setApplied] = useState(filtersState);
+  const filterTypes = useMemo(() => getFilterTypes(config), [config]);
+  // Longest debounce among the text-like filters that changed (0: apply now)
+  const delay = Math.max(
+    0,
+    ...(config.filters || [])
+      .filter(
+        (f) =>
+          filterTypes[f.type]?.debounce &&
+          filtersState[f.field] !== applied[f.field]
+      )
+      .map((f) => f.debounceMs ?? config.debounceMs ?? 300)
+  );
+
+  useEffect(() => {
+    if (!delay) {
+      setApplied(filtersState);
+      return;
+    }
+    const id = setTimeout(() => setApplied(filtersState), delay);
+    return () => clearTimeout(id);
+  }, [filtersState, delay]);
+
+  return applied;
+};
+
+// ------------------------- URL state (filters/sort/pagination) -------------------------
+// Query string layout (with optional namespace "drivers"):
+//   ?drivers.status=Active&drivers.status=Inactive     (multi-select → repeated param)
+//   &drivers.location=addis                            (text / single select)
+//   &drivers.createdAt.preset=lastNDays:30             (date preset, `type[:n]`)
+//   &drivers.createdAt.from=2025-01-01&drivers.createdAt.to=2025-03-31
+//   &drivers.sort=name,-createdAt&drivers.page=2&drivers.pageSize=25
+const encodePreset = (preset) =>
+  preset?.type ? `${preset.type}${preset.n != null ? `:${preset.n}` : ""}` : "";
+
+const decodePreset = (str) => {
+  if (!str) return undefined;
+  const [type, n] = str.split(":");
+  return n != null && n !== "" ? { type, n: Number(n) } : { type };
+};
+
+// Ours: sort/page/pageSize plus `${prefix}${field}` and `${prefix}${field}.*` per filter
+const isOwnUrlKey = (key, filtersCfg, prefix) =>
+  [`${prefix}sort`, `${prefix}page`, `${prefix}pageSize`].includes(key) ||
+  (filtersCfg || []).some(
+    (f) =>
+      key === `${prefix}${f.field}` || key.startsWith(`${prefix}${f.field}.`)
+  );
+
+// Each filter type encodes its own value (toUrl/fromUrl); scalars use the plain key
+export const readTableStateFromSearch = (
+  search,
+  filtersCfg,
+  prefix,
+  defaultPageSize,
+  filterTypes = builtinFilterTypes
+) => {
+  const params = new URLSearchParams(search);
+  const filters = {};
+  (filtersCfg || []).forEach((f) => {
+    const key = `${prefix}${f.field}`;
+    const def = filterTypes[f.type] || {};
+    const get = (suffix) => params.get(`${key}${suffix}`);
+    const getAll = (suffix) => params.getAll(`${key}${suffix}`);
+    const value = def.fromUrl
+      ? def.fromUrl(get, getAll, f)
+      : get("") ?? undefined;
+    if (value !== undefined) filters[f.field] = value;
+  });
+
+  const sorting = (params.get(`${prefix}sort`) || "")
+    .split(",")
+    .filter(Boolean)
+    .map((s) =>
+      s.startsWith("-")
+        ? { id: s.slice(1), desc: true }
+        : { id: s, desc: false }
+    );
+
+  const page = parseInt(params.get(`${prefix}page`), 10);
+  const pageSize = parseInt(params.get(`${prefix}pageSize`), 10);
+  const pagination = {
+    pageIndex: page > 0 ? page - 1 : 0,
+    pageSize: pageSize > 0 ? pageSize : defaultPageSize,
+  };
+
+  return { filters, sorting, pagination };
+};
+
+export const writeTableStateToSearch = (
+  search,
+  filtersCfg,
+  prefix,
+  defaultPageSize,
+  { filters, sorting, pagination },
+  filterTypes = builtinFilterTypes
+) => {
+  const params = new URLSearchParams(search);
+  // Drop only our own keys so other tables/namespaces on the route are kept
+  Array.from(params.keys())
+    .filter((k) => isOwnUrlKey(k, filtersCfg, prefix))
+    .forEach((k) => params.delete(k));
+
+  (filtersCfg || []).forEach((f) => {
+    const key = `${prefix}${f.field}`;
+    const def = filterTypes[f.type] || {};
+    const fs = filters?.[f.field];
+    if (!isFilterActive(def, fs)) return;
+    const entries = def.toUrl ? def.toUrl(fs, f) : [["", String(fs)]];
+    entries.forEach(([suffix, v]) => params.append(`${key}${suffix}`, v));
+  });
+
+  const sort = (sorting || [])
+    .map((s) => (s.desc ? `-${s.id}` : s.id))
+    .join(",");
+  if (sort) params.set(`${prefix}sort`, sort);
+  if (pagination?.pageIndex > 0)
+    params.set(`${prefix}page`, String(pagination.pageIndex + 1));
+  if (pagination?.pageSize && pagination.pageSize !== defaultPageSize)
+    params.set(`${prefix}pageSize`, String(pagination.pageSize));
+
+  return params.toString();
+};
+
+// Keeps filters/sorting/pagination in the query string (react-router).
+// The URL follows the applied filters (text filters debounced, see useDebouncedFilters).
+// Sort, page and select changes push a history entry (config.urlState.history: 'push' | 'replace');
+// typing only replaces the current one, so back/forward skips keystrokes.
+export const useUrlTableState = (config) => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const urlCfg = config?.urlState || {};
+  const enabled = urlCfg.enabled !== false;
+  const historyMode = urlCfg.history;
+  const prefix = urlCfg.namespace ? `${urlCfg.namespace}.` : "";
+  const defaultPageSize = config?.pageSize || 10;
+  const filterTypes = useMemo(() => getFilterTypes(config), [config]);
+
+  const read = useCallback(
+    (search) =>
+      readTableStateFromSearch(
+        search,
+        config.filters,
+        prefix,
+        defaultPageSize,
+        filterTypes
+      ),
+    [config.filters, prefix, defaultPageSize, filterTypes]
+  );
+  const write = useCallback(
+    (search, state) =>
+      writeTableStateToSearch(
+        search,
+        config.filters,
+        prefix,
+        defaultPageSize,
+        state,
+        filterTypes
+      ),
+    [config.filters, prefix, defaultPageSize, filterTypes]
+  );
+
+  const [hasUrlState] = useState(
+    () =>
+      enabled &&
+      Array.from(new URLSearchParams(location.search).keys()).some((k) =>
+        isOwnUrlKey(k, config.filters, prefix)
+      )
+  );
+  const [initial] = useState(() =>
+    enabled
+      ? read(location.search)
+      : {
+          filters: {},
+          sorting: [],
+          pagination: { pageIndex: 0, pageSize: defaultPageSize },
+        }
+  );
+  const [filtersState, setFiltersState] = useState(initial.filters);
+  const [sorting, setSorting] = useState(initial.sorting);
+  const [pagination, setPagination] = useState(initial.pagination);
+  // What the inputs show (filtersState) vs. what is applied (text filters debounced)
+  const appliedFilters = useDebouncedFilters(filtersState, config);
+
+  // Latest state and location for the effects below, which must not re-run on them
+  const stateRef = useRef(initial);
+  stateRef.current = { filters: filtersState, sorting, pagination };
+  const locationRef = useRef(location);
+  locationRef.current = location;
+  // Last state written to / read from the URL (decides push vs replace)
+  const syncedRef = useRef(initial);
+
+  // URL → state (back/forward, pasted links)
+  useEffect(() => {
+    if (!enabled) return;
+    const next = read(location.search);
+    syncedRef.current = next;
+    if (write("", next) === write("", stateRef.current)) return;
+    setFiltersState(next.filters);
+    setSorting(next.sorting);
+    setPagination(next.pagination);
+  }, [enabled, location.search, read, write]);
+
+  // state → URL, once pending text filters have been applied
+  useEffect(() => {
+    if (!enabled || appliedFilters !== filtersState) return;
+    const { pathname, search: current, hash } = locationRef.current;
+    const next = { filters: appliedFilters, sorting, pagination };
+    const search = write(current, next);
+    if (search === write(current, read(current))) return;
+    const prev = syncedRef.current;
+    syncedRef.current = next;
+    navigate(
+      { pathname, search: search ? `?${search}` : "", hash },
+      {
+        replace:
+          historyMode === "replace" ||
+          isDebouncedOnlyChange(prev, next, config.filters, filterTypes),
+      }
+    );
+  }, [
+    enabled,
+    appliedFilters,
+    filtersState,
+    sorting,
+    pagination,
+    navigate,
+    read,
+    write,
+    historyMode,
+    config.filters,
+    filterTypes,
+  ]);
+
+  return {
+    filtersState,
+    setFiltersState,
+    appliedFilters,
+    sorting,
+    setSorting,
+    pagination,
+    setPagination,
+    hasUrlState,
+  };
+};
+
+// True when only debounced (typed) filters differ between two URL states
+export const isDebouncedOnlyChange = (prev, next, filtersCfg, filterTypes) => {
+  const key = (st) => JSON.stringify([st.sorting, st.pagination]);
+  if (key(prev) !== key(next)) return false;
+  return (filtersCfg || []).every(
+    (f) =>
+      filterTypes[f.type]?.debounce ||
+      JSON.stringify(prev.filters?.[f.field]) ===
+        JSON.stringify(next.filters?.[f.field])
+  );
+};
+
+// ------------------------- Simulated server (mock mode) -------------------------
+// Generic comparator: nulls last, numbers/dates by value, strings locale-aware (numeric-aware)
+export const compareValues = (a, b) => {
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  if (a instanceof Date || b instanceof Date) return dayjs(a).diff(dayjs(b));
+  return String(a).localeCompare(String(b), undefined, {
+    numeric: true,
+    sensitivity: "base",
+  });
+};
+
+// Multi-column sort: sorting = [{ id, desc }, ...] applied in priority order;
+// comparators = { [id]: (a, b) => number } (typed columns), default compareValues;
+// read(row, id) resolves computed/nested columns (default: dotted path)
+export const sortRows = (rows, sorting, comparators = {}, read = getByPath) => {
+  if (!sorting?.length) return rows;
+  return [...rows].sort((ra, rb) => {
+    for (const s of sorting) {
+      const compare = comparators[s.id] || compareValues;
+      const cmp = compare(read(ra, s.id), read(rb, s.id));
+      if (cmp !== 0) return s.desc ? -cmp : cmp;
+    }
+    return 0;
+  });
+};
+
+// Abortable delay: rejects with an AbortError when `signal` fires
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const id = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(id);
+        reject(new DOMException("Aborted", "AbortError"));
+      },
+      { once: true }
+    );
+  });
+
+// Behaves like the API would for the config.server flags: filter → sort → slice.
+// dataSource.mockServer = { latency: 400 | [min, max], failureRate: 0..1 }
+export const simulateServer = async (
+  src,
+  config,
+  filtersState,
+  paginationState,
+  sortingState,
+  signal
+) => {
+  const sim = config?.dataSource?.mockServer || {};
+  const latency = Array.isArray(sim.latency)
+    ? sim.latency[0] + Math.random() * (sim.latency[1] - sim.latency[0])
+    : sim.latency || 0;
+  if (latency > 0) await sleep(latency, signal);
+  if (sim.failureRate && Math.random() < sim.failureRate) {
+    const err = new Error(sim.failureMessage || "HTTP 500 (simulated)");
+    err.status = 500;
+    throw err;
+  }
+
+  let rows = src;
+  if (config?.server?.filtering)
+    rows = applyClientFilters(
+      rows,
+      config.filters,
+      filtersState || {},
+      getFilterTypes(config)
+    );
+  if (config?.server?.sorting)
+    rows = sortRows(
+      rows,
+      sortingState,
+      Object.fromEntries(
+        (config.columns || []).map((c) => [columnId(c), columnComparator(c)])
+      ),
+      createFieldReader(config.columns)
+    );
+  const total = rows.length;
+  if (config?.server?.pagination && paginationState) {
+    const start = paginationState.pageIndex * paginationState.pageSize;
+    rows = rows.slice(start, start + paginationState.pageSize);
+  }
+  return { rows, total };
+};
+
+// ------------------------- Query serializers (API mode) -------------------------
+// Filters are first normalized into dialect-neutral conditions (by their filter type):
+//   { field, op, value, fields? }
+//   op: 'in' (array) | 'eq' | 'contains' | 'startsWith' | 'equals' | 'regex'
+//       | 'between' ({ from, to }: ISO strings or numbers, null = open) | 'exists' (boolean)
+//   fields: multi-field search → match any of these fields (field is the filter's key)
+// A serializer turns { conditions, sorting, pagination, ds } into the request:
+//   { params: [[key, value], ...], body?: object, method?: 'GET' | 'POST' }
+// pagination = { pageIndex, pageSize, cursor } (only when config.server.pagination)
+export const toServerConditions = (
+  filtersCfg,
+  filtersState,
+  filterTypes = builtinFilterTypes
+) =>
+  (filtersCfg || []).flatMap((f) => {
+    const def = filterTypes[f.type];
+    const fs = filtersState?.[f.field];
+    if (!def?.toConditions || !isFilterActive(def, fs)) return [];
+    return def.toConditions(f, fs);
+  });
+
+// Original wire format: ?field=a,b&createdAtFrom=&createdAtTo=&sortBy=&sortDir=&page=&pageSize=
+// (other operators: ?fieldStartsWith=, ?fieldRegex=, ?fieldExists=true, …)
+const defaultSerializer = ({ conditions, sorting, pagination, ds }) => {
+  const params = [];
+  const capitalize = (str) => str.charAt(0).toUpperCase() + str.slice(1);
+  conditions.forEach((c) => {
+    if (c.op === "in") params.push([c.field, c.value.join(",")]);
+    else if (c.op === "contains" || c.op === "eq" || c.op === "search")
+      params.push([c.field, String(c.value)]);
+    else if (c.op === "between") {
+      if (c.value.from != null)
+        params.push([`${c.field}From`, String(c.value.from)]);
+      if (c.value.to != null) params.push([`${c.field}To`, String(c.value.to)]);
+    } else params.push([`${c.field}${capitalize(c.op)}`, String(c.value)]);
+    if (c.fields) params.push([`${c.field}Fields`, c.fields.join(",")]);
+  });
+  if (sorting?.length) {
+    params.push(["sortBy", sorting.map((s) => s.id).join(",")]);
+    params.push([
+      "sortDir",
+      sorting.map((s) => (s.desc ? "desc" : "asc")).join(","),
+    ]);
+  }
+  if (pagination) {
+    if (pagination.cursor != null)
+      params.push([ds.cursorParam || "cursor", pagination.cursor]);
+    else if (ds.paginationType !== "cursor")
+      params.push(["page", String(pagination.pageIndex + 1)]);
+    params.push(["pageSize", String(pagination.pageSize)]);
+  }
+  return { params };
+};
+
+// OData v4: $filter, $orderby, $top/$skip, $count
+// Strings are quoted; numbers, booleans and ISO dates (from date filters) go bare
+const odataLiteral = (v) =>
+  typeof v === "number" || typeof v === "boolean"
+    ? String(v)
+    : `'${String(v).replaceAll("'", "''")}'`;
+const odataClause = (field, op, value) => {
+  const lower = (v) => odataLiteral(String(v).toLowerCase());
+  switch (op) {
+    case "in":
+      return value.length === 1
+        ? `${field} eq ${odataLiteral(value[0])}`
+        : `${field} in (${value.map(odataLiteral).join(",")})`;
+    case "eq":
+      return `${field} eq ${odataLiteral(value)}`;
+    case "equals":
+      return `tolower(${field}) eq ${lower(value)}`;
+    case "contains":
+      return `contains(tolower(${field}),${lower(value)})`;
+    case "startsWith":
+      return `startswith(tolower(${field}),${lower(value)})`;
+    case "regex":
+      return `matchesPattern(${field},${odataLiteral(value)})`;
+    case "exists":
+      return `${field} ${value ? "ne" : "eq"} null`;
+    case "between":
+      return [
+        value.from != null && `${field} ge ${value.from}`,
+        value.to != null && `${field} le ${value.to}`,
+      ]
+        .filter(Boolean)
+        .join(" and ");
+    default:
+      return "";
+  }
+};
+const odataSerializer = ({ conditions, sorting, pagination, ds }) => {
+  const params = [];
+  // Quick search → $search
+  conditions
+    .filter((c) => c.op === "search")
+    .forEach((c) => params.push(["$search", c.value]));
+  const clauses = conditions
+    .filter((c) => c.op !== "search")
+    .map((c) =>
+      c.fields
+        ? `(${c.fields
+            .map((field) => odataClause(field, c.op, c.value))
+            .join(" or ")})`
+        : odataClause(c.field, c.op, c.value)
+    )
+    .filter(Boolean);
+  if (clauses.length) params.push(["$filter", clauses.join(" and ")]);
+  if (sorting?.length)
+    params.push([
+      "$orderby",
+      sorting.map((s) => `${s.id} ${s.desc ? "desc" : "asc"}`).join(","),
+    ]);
+  if (pagination) {
+    params.push(["$top", String(pagination.pageSize)]);
+    if (pagination.cursor != null)
+      params.push([ds.cursorParam || "$skiptoken", pagination.cursor]);
+    else
+      params.push([
+        "$skip",
+        String(pagination.pageIndex * pagination.pageSize),
+      ]);
+    params.push(["$count", "true"]);
+  }
+  return { params };
+};
+
+// JSON:API: filter[field]=a,b, filter[field][gte]=, filter[field][startsWith]=,
+// sort=-a,b, page[number]/page[size]/page[cursor]
+const jsonApiSerializer = ({ conditions, sorting, pagination }) => {
+  const params = [];
+  conditions.forEach((c) => {
+    const key = `filter[${c.field}]`;
+    if (c.op === "in") params.push([key, c.value.join(",")]);
+    else if (c.op === "contains" || c.op === "eq" || c.op === "search")
+      params.push([key, String(c.value)]);
+    else if (c.op === "between") {
+      if (c.value.from != null)
+        params.push([`${key}[gte]`, String(c.value.from)]);
+      if (c.value.to != null) params.push([`${key}[lte]`, String(c.value.to)]);
+    } else params.push([`${key}[${c.op}]`, String(c.value)]);
+    if (c.fields) params.push([`${key}[fields]`, c.fields.join(",")]);
+  });
+  if (sorting?.length)
+    params.push([
+      "sort",
+      sorting.map((s) => (s.desc ? `-${s.id}` : s.id)).join(","),
+    ]);
+  if (pagination) {
+    if (pagination.cursor != null)
+      params.push(["page[cursor]", pagination.cursor]);
+    else params.push(["page[number]", String(pagination.pageIndex + 1)]);
+    params.push(["page[size]", String(pagination.pageSize)]);
+  }
+  return { params };
+};
+
+// POST with the whole query as a JSON body
+const jsonBodySerializer = ({ conditions, sorting, pagination }) => ({
+  method: "POST",
+  params: [],
+  body: {
+    filters: conditions,
+    sort: (sorting || []).map((s) => ({
+      field: s.id,
+      direction: s.desc ? "desc" : "asc",
+    })),
+    ...(pagination
+      ? {
+          page: {
+            index: pagination.pageIndex,
+            size: pagination.pageSize,
+            ...(pagination.cursor != null ? { cursor: pagination.cursor } : {}),
+          },
+        }
+      : {}),
+  },
+});
+
+export const querySerializers = {
+  default: defaultSerializer,
+  odata: odataSerializer,
+  jsonapi: jsonApiSerializer,
+  json: jsonBodySerializer,
+};
+
+// dataSource.query: 'default' | 'odata' | 'jsonapi' | 'json' | (ctx) => ({ params, body, method })
+export const resolveQuerySerializer = (ds) =>
+  typeof ds?.query === "function"
+    ? ds.query
+    : querySerializers[ds?.query || "default"] || defaultSerializer;
+
+// ------------------------- GraphQL (graphql mode) -------------------------
+// Default variables: { filters, sort, limit, offset, after }; override with
+// dataSource.variables(ctx) → object (ctx is the same as for query serializers)
+export const buildGraphQLVariables = (ds, ctx) => {
+  if (typeof ds.variables === "function") return ds.variables(ctx);
+  const { conditions, sorting, pagination } = ctx;
+  return {
+    ...(ds.staticVariables || {}),
+    ...(conditions.length ? { filters: conditions } : {}),
+    ...(sorting.length
+      ? {
+          sort: sorting.map((s) => ({
+            field: s.id,
+            direction: s.desc ? "DESC" : "ASC",
+          })),
+        }
+      : {}),
+    ...(pagination
+      ? pagination.cursor != null || ds.paginationType === "cursor"
+        ? { limit: pagination.pageSize, after: pagination.cursor ?? null }
+        : {
+            limit: pagination.pageSize,
+            offset: pagination.pageIndex * pagination.pageSize,
+          }
+      : {}),
+  };
+};
+
+// dataSource.rowsPath (e.g. 'data.drivers.items'); otherwise the first field under `data`
+// (or its items/nodes/edges[].node)
+export const readGraphQLRows = (ds, payload) => {
+  if (ds.rowsPath) return getByPath(payload, ds.rowsPath) || [];
+  const first = Object.values(payload?.data || {})[0];
+  if (Array.isArray(first)) return first;
+  if (Array.isArray(first?.items)) return first.items;
+  if (Array.isArray(first?.nodes)) return first.nodes;
+  if (Array.isArray(first?.edges)) return first.edges.map((e) => e.node);
+  return [];
+};
+
+const formatGraphQLErrors = (errors) =>
+  errors.map((e) => e?.message || String(e)).join("; ");
+
+// ------------------------- Response extractors (API mode) -------------------------
+// Read a dotted path like 'meta.page.total' from an object
+const getByPath = (obj, path) =>
+  String(path || "")
+    .split(".")
+    .filter(Boolean)
+    .reduce((acc, seg) => (acc == null ? undefined : acc[seg]), obj);
+
+// Total row count: dataSource.getRowCount(payload, res) | rowCountPath | rowCountHeader
+// (default X-Total-Count) | common payload fields. undefined → unknown.
+export const readRowCount = (ds, payload, res) => {
+  if (typeof ds.getRowCount === "function") return ds.getRowCount(payload, res);
+  if (ds.rowCountPath) return Number(getByPath(payload, ds.rowCountPath));
+  const header = res.headers?.get(ds.rowCountHeader || "X-Total-Count");
+  if (header != null && header !== "") return Number(header);
+  const guess =
+    payload?.total ??
+    payload?.totalCount ??
+    payload?.meta?.total ??
+    payload?.["@odata.count"];
+  return guess == null ? undefined : Number(guess);
+};
+
+// Next page cursor: dataSource.getNextCursor(payload, res) | nextCursorPath | common fields
+const readNextCursor = (ds, payload, res) => {
+  if (typeof ds.getNextCursor === "function")
+    return ds.getNextCursor(payload, res);
+  if (ds.nextCursorPath) return getByPath(payload, ds.nextCursorPath);
+  return payload?.nextCursor ?? payload?.meta?.nextCursor ?? null;
+};
+
+// ------------------------- Auth (token provider + 401 refresh) -------------------------
+// Every request the page makes (data, saved views, exports, async options, mutations)
+// goes through authFetch, so auth behaves the same everywhere. `auth` is the data source:
+//   getAuthHeaders({ forceRefresh }) → Promise<headers>   called before each request
+//   refreshAuth() → Promise                               called once on a 401, then the request is resent
+//                                                         (false or a rejection: not resent; a rejection
+//                                                         fails the request with that error)
+//   onUnauthorized(res)                                   still 401 after refresh → e.g. redirect to login
+const pendingRefreshes = new WeakMap();
+const refreshAuthOnce = (auth) => {
+  // Parallel 401s share one refresh
+  if (!pendingRefreshes.has(auth)) {
+    const p = Promise.resolve(auth.refreshAuth()).finally(() =>
+      pendingRefreshes.delete(auth)
+    );
+    pendingRefreshes.set(auth, p);
+  }
+  return pendingRefreshes.get(auth);
+};
+
+export const authFetch = async (auth, url, init = {}) => {
+  const send = async (forceRefresh = false) => {
+    const authHeaders = auth?.getAuthHeaders
+      ? await auth.getAuthHeaders({ forceRefresh })
+      : {};
+    return fetch(url, {
+      ...init,
+      headers: { ...(init.headers || {}), ...(authHeaders || {}) },
+    });
+  };
+
+  let res = await send();
+  let refreshError = null;
+  if (res.status === 401 && (auth?.refreshAuth || auth?.getAuthHeaders)) {
+    let refreshed = true;
+    if (auth.refreshAuth) {
+      refreshed = await refreshAuthOnce(auth).then(
+        (r) => r !== false,
+        (e) => {
+          refreshError = e;
+          return false;
+        }
+      );
+    }
+    if (refreshed && !init.signal?.aborted) res = await send(true);
+  }
+  if (res.status === 401) auth?.onUnauthorized?.(res);
+  if (refreshError) throw refreshError;
+  return res;
+};
+
+// ------------------------- Retry with exponential backoff -------------------------
+const httpError = (res) => {
+  const err = new Error(`HTTP ${res.status}`);
+  err.status = res.status;
+  return err;
+};
+
+// Network failures (fetch rejects with TypeError), timeouts, rate limits and 5xx are worth retrying
+export const isRetryableError = (e) => {
+  if (e?.name === "AbortError") return false;
+  if (e?.status != null)
+    return e.status >= 500 || e.status === 408 || e.status === 429;
+  return e instanceof TypeError;
+};
+
+// dataSource.retry: number of retries | { retries, baseDelayMs, maxDelayMs } (default 2 retries)
+export const withRetry = async (fn, retryCfg, signal) => {
+  const {
+    retries = 2,
+    baseDelayMs = 500,
+    maxDelayMs = 8000,
+  } = typeof retryCfg === "number" ? { retries: retryCfg } : retryCfg || {};
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      if (attempt >= retries || signal?.aborted || !isRetryableError(e))
+        throw e;
+      // 500ms, 1s, 2s, ... capped, with jitter so clients don't retry in lockstep
+      const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      await sleep(delay / 2 + (Math.random() * delay) / 2, signal);
+    }
+  }
+};
+
+// ------------------------- Page loader (simulated mock / API / GraphQL) -------------------------
+// Fetches one page for `request` = { filtersState, sortingState, pageIndex, pageSize, cursor }
+// and normalizes it to { rows, total, totalKnown, nextCursor }.
+export const loadPage = async (config, request, signal) => {
+  const ds = config?.dataSource || { mode: "mock" };
+  const { filtersState, sortingState, pageIndex, pageSize, cursor } = request;
+  const paged = !!config?.server?.pagination && pageSize != null;
+
+  if (ds.mode === "mock") {
+    const { rows, total } = await withRetry(
+      () =>
+        simulateServer(
+          Array.isArray(ds.mockData) ? ds.mockData : [],
+          config,
+          filtersState,
+          paged ? { pageIndex, pageSize } : null,
+          sortingState,
+          signal
+        ),
+      ds.retry,
+      signal
+    );
+    return { rows, total, totalKnown: true, nextCursor: null };
+  }
+
+  const url = new URL(ds.url, window.location.origin);
+  const headers = ds.headers || {};
+  const isCursor = ds.paginationType === "cursor";
+  const queryCtx = {
+    conditions: config?.server?.filtering
+      ? toServerConditions(config.filters, filtersState, getFilterTypes(config))
+      : [],
+    sorting: config?.server?.sorting ? sortingState || [] : [],
+    pagination: paged ? { pageIndex, pageSize, cursor } : null,
+    filtersState,
+    ds,
+    config,
+  };
+
+  // Build the request once; retries resend it as-is
+  let init;
+  if (ds.mode === "graphql") {
+    init = {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify({
+        query: ds.document,
+        variables: buildGraphQLVariables(ds, queryCtx),
+        ...(ds.operationName ? { operationName: ds.operationName } : {}),
+      }),
+    };
+  } else {
+    // If server-driven, serialize filters/sort/pagination in the configured dialect
+    const query = resolveQuerySerializer(ds)(queryCtx);
+    (query?.params || []).forEach(([k, v]) => url.searchParams.append(k, v));
+    const method = query?.method || ds.method || "GET";
+    const hasBody = query?.body != null && method !== "GET";
+    init = {
+      method,
+      headers: hasBody
+        ? { "Content-Type": "application/json", ...headers }
+        : headers,
+      ...(hasBody ? { body: JSON.stringify(query.body) } : {}),
+    };
+  }
+
+  const { res, payload, rows } = await withRetry(
+    async () => {
+      const res = await authFetch(ds, url.toString(), { ...init, signal });
+      if (ds.mode === "graphql") {
+        // GraphQL reports failures in `errors`, often with a 200 (or a 4xx JSON body)
+        const payload = await res.json().catch(() => null);
+        if (payload?.errors?.length)
+          throw new Error(formatGraphQLErrors(payload.errors));
+        if (!res.ok) throw httpError(res);
         const rows = ds.transform
           ? ds.transform(payload)
-          : payload?.data || payload || [];
-        setData(Array.isArray(rows) ? rows : []);
+          : readGraphQLRows(ds, payload);
+        return { res, payload, rows };
       }
+      if (!res.ok) throw httpError(res);
+      const payload = await res.json();
+      const rows = ds.transform
+        ? ds.transform(payload)
+        : payload?.data || payload || [];
+      return { res, payload, rows };
+    },
+    ds.retry,
+    signal
+  );
+
+  const list = Array.isArray(rows) ? rows : [];
+  const nextCursor = isCursor ? readNextCursor(ds, payload, res) : null;
+  let total = readRowCount(ds, payload, res);
+  const totalKnown = Number.isFinite(total);
+  if (!totalKnown) {
+    // Unknown total: enough rows for the pager to allow "next" only when there is more
+    const more = isCursor ? nextCursor != null : list.length === pageSize;
+    total = paged
+      ? pageIndex * pageSize + list.length + (more ? 1 : 0)
+      : list.length;
+  }
+  return { rows: list, total, totalKnown, nextCursor };
+};
+
+// Rows a paged "all matching" export may fetch (export.maxRows, default 50000)
+export const exportRowLimit = (config) => config?.export?.maxRows || 50000;
+
+// More rows match than an export may fetch: { code: 'EXPORT_LIMIT', maxRows, total? }
+const exportLimitError = (maxRows, total) => {
+  const err = new Error(`Export limited to ${maxRows} rows`);
+  err.code = "EXPORT_LIMIT";
+  err.maxRows = maxRows;
+  err.total = total;
+  return err;
+};
+
+// Every row matching the filters & sorting, for "all matching rows" exports: one unpaged
+// request to dataSource.exportUrl when set, else page by page (export.pageSize, default
+// 500). onProgress({ loaded, total }) after each page. Rather than export a silently
+// truncated file, it throws an EXPORT_LIMIT error once more than export.maxRows match.
+export const fetchAllRows = async (
+  config,
+  request,
+  { signal, onProgress } = {}
+) => {
+  const ds = config?.dataSource || {};
+  const { filtersState, sortingState } = request;
+  const maxRows = exportRowLimit(config);
+  if (ds.exportUrl) {
+    const { rows } = await loadPage(
+      {
+        ...config,
+        dataSource: { ...ds, url: ds.exportUrl, paginationType: undefined },
+        server: { ...config.server, pagination: false },
+      },
+      { filtersState, sortingState },
+      signal
+    );
+    if (rows.length > maxRows) throw exportLimitError(maxRows, rows.length);
+    onProgress?.({ loaded: rows.length, total: rows.length });
+    return rows;
+  }
+  const pageSize = config?.export?.pageSize || 500;
+  const all = [];
+  let cursor = null;
+  for (let pageIndex = 0; ; pageIndex++) {
+    const { rows, total, totalKnown, nextCursor } = await loadPage(
+      config,
+      { filtersState, sortingState, pageIndex, pageSize, cursor },
+      signal
+    );
+    // A known total tells us up front; otherwise stop once the cap is passed
+    if (totalKnown && total > maxRows) throw exportLimitError(maxRows, total);
+    all.push(...rows);
+    onProgress?.({ loaded: all.length, total: Math.max(total, all.length) });
+    const done =
+      rows.length < pageSize ||
+      all.length >= total ||
+      (ds.paginationType === "cursor" && nextCursor == null);
+    if (all.length > maxRows) throw exportLimitError(maxRows);
+    if (done) return all;
+    cursor = nextCursor;
+  }
+};
+
+// ------------------------- Query cache (stale-while-revalidate) -------------------------
+// In-memory, shared by all page instances. dataSource.cache = { ttlMs, staleMs } | false:
+// entries younger than staleMs are used as-is; older ones (up to ttlMs) are shown
+// immediately while a background request revalidates them.
+export const queryCache = new Map(); // key → { value, time }
+const QUERY_CACHE_MAX_ENTRIES = 100;
+
+const resolveCacheCfg = (ds) =>
+  ds?.cache === false
+    ? null
+    : { ttlMs: 5 * 60 * 1000, staleMs: 0, ...(ds?.cache || {}) };
+
+// Functions and inline mock rows don't serialize: each object gets a stable id instead,
+// so sources differing only in them (transform, serializer, auth hooks, mock rows)
+// never share entries
+const cacheIdentities = new WeakMap();
+let lastCacheIdentity = 0;
+const cacheIdentity = (obj) => {
+  if (!cacheIdentities.has(obj)) cacheIdentities.set(obj, ++lastCacheIdentity);
+  return cacheIdentities.get(obj);
+};
+
+// Data-source part of the key; dataSource.cacheKey replaces it (e.g. to share across pages)
+export const dataSourceCacheKey = (ds) => {
+  if (ds?.cacheKey != null) return String(ds.cacheKey);
+  const refs = Object.entries(ds || {})
+    .filter(
+      ([k, v]) =>
+        typeof v === "function" ||
+        (k === "mockData" && v && typeof v === "object")
+    )
+    .map(([k, v]) => `${k}#${cacheIdentity(v)}`);
+  return JSON.stringify({
+    ...(ds || {}),
+    mockData: undefined,
+    cache: undefined,
+    refs,
+  });
+};
+
+// Only what actually goes on the wire: filters/sort/page only when server-driven
+export const requestCacheKey = (config, request) =>
+  JSON.stringify([
+    dataSourceCacheKey(config?.dataSource),
+    config?.server?.filtering ? request.filtersState : null,
+    config?.server?.sorting ? request.sortingState : null,
+    config?.server?.pagination
+      ? [request.pageIndex, request.pageSize, request.cursor]
+      : null,
+  ]);
+
+export const readQueryCache = (key, cacheCfg) => {
+  const entry = queryCache.get(key);
+  if (!entry) return null;
+  const age = Date.now() - entry.time;
+  if (age > cacheCfg.ttlMs) {
+    queryCache.delete(key);
+    return null;
+  }
+  return { value: entry.value, fresh: age < cacheCfg.staleMs };
+};
+
+export const writeQueryCache = (key, value) => {
+  queryCache.delete(key); // re-insert → most recent last
+  queryCache.set(key, { value, time: Date.now() });
+  if (queryCache.size > QUERY_CACHE_MAX_ENTRIES)
+    queryCache.delete(queryCache.keys().next().value);
+};
+
+// Drop every cached page of one data source
+export const invalidateQueryCache = (ds) => {
+  const dsKey = JSON.stringify(dataSourceCacheKey(ds));
+  Array.from(queryCache.keys()).forEach((key) => {
+    if (key.startsWith(`[${dsKey},`)) queryCache.delete(key);
+  });
+};
+
+// ------------------------- Live updates (poll / SSE / WebSocket) -------------------------
+// dataSource.live = {
+//   type: 'poll' | 'sse' | 'websocket',
+//   intervalMs: 15000,                 // poll
+//   url: 'wss://…' | async () => url,  // sse / websocket (a function can add a fresh token)
+//   parse: (data) => event | event[],  // optional; default JSON.parse of the message
+//   highlightMs: 4000,                 // how long changed rows stay highlighted
+// }
+// Events: { type: 'insert' | 'update' | 'delete', row?, id? } keyed by config.rowIdField (default 'id')
+const getRowIdValue = (config, row) =>
+  getByPath(row, config?.rowIdField || "id");
+
+export const parseLiveMessage = (liveCfg, raw) => {
+  const parsed = liveCfg.parse
+    ? liveCfg.parse(raw)
+    : typeof raw === "string"
+    ? JSON.parse(raw)
+    : raw;
+  return (Array.isArray(parsed) ? parsed : [parsed]).filter((e) => e && e.type);
+};
+
+// Applies insert/update/delete events to a row array (immutable). Ids compare as
+// strings (feeds often send "42" for 42); an update for a row that isn't loaded is
+// ignored rather than inserted as a partial row.
+export const applyRowEvents = (config, rows, events) => {
+  let next = rows;
+  events.forEach((e) => {
+    const id = e.id ?? getRowIdValue(config, e.row);
+    const idx =
+      id == null
+        ? -1
+        : next.findIndex(
+            (r) => String(getRowIdValue(config, r)) === String(id)
+          );
+    if (e.type === "delete") {
+      if (idx >= 0) next = next.filter((_, i) => i !== idx);
+    } else if (idx >= 0) {
+      next = next.map((r, i) => (i === idx ? { ...r, ...e.row } : r));
+    } else if (e.type === "insert" && e.row) {
+      next = [e.row, ...next];
+    }
+  });
+  return next;
+};
+
+// Connects the configured feed while not paused; polls call onPoll, pushes call onEvents
+// (onError: unparseable messages and connection failures)
+export const useLiveUpdates = (
+  liveCfg,
+  { paused, onEvents, onPoll, onError }
+) => {
+  // Latest callbacks without reconnecting on every render
+  const handlersRef = useRef({ onEvents, onPoll, onError });
+  handlersRef.current = { onEvents, onPoll, onError };
+  const [status, setStatus] = useState("idle"); // idle | connecting | live | paused | error
+
+  useEffect(() => {
+    if (!liveCfg?.type) return undefined;
+    if (paused) {
+      setStatus("paused");
+      return undefined;
+    }
+
+    if (liveCfg.type === "poll") {
+      setStatus("live");
+      const id = setInterval(
+        () => handlersRef.current.onPoll?.(),
+        liveCfg.intervalMs || 15000
+      );
+      return () => clearInterval(id);
+    }
+
+    let closed = false;
+    let source = null;
+    let retryTimer = null;
+    let attempt = 0;
+    const onMessage = (raw) => {
+      try {
+        const events = parseLiveMessage(liveCfg, raw);
+        if (events.length) handlersRef.current.onEvents?.(events);
+      } catch (e) {
+        handlersRef.current.onError?.(e);
+      }
+    };
+
+    const connect = async () => {
+      setStatus("connecting");
+      try {
+        const url =
+          typeof liveCfg.url === "function" ? await liveCfg.url() : liveCfg.url;
+        if (closed) return;
+        if (liveCfg.type === "sse") {
+          // EventSource reconnects by itself
+          source = new EventSource(url, {
+            withCredentials: !!liveCfg.withCredentials,
+          });
+          source.onopen = () => setStatus("live");
+          source.onmessage = (e) => onMessage(e.data);
+          source.onerror = () => setStatus("connecting");
+        } else if (liveCfg.type === "websocket") {
+          source = new WebSocket(url, liveCfg.protocols);
+          source.onopen = () => {
+            attempt = 0;
+            setStatus("live");
+          };
+          source.onmessage = (e) => onMessage(e.data);
+          source.onclose = () => {
+            if (closed) return;
+            // Reconnect with backoff: 1s, 2s, 4s … 30s
+            setStatus("connecting");
+            retryTimer = setTimeout(
+              connect,
+              Math.min(30000, 1000 * 2 ** attempt++)
+            );
+          };
+        }
+      } catch (e) {
+        handlersRef.current.onError?.(e);
+        setStatus("error");
+      }
+    };
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      source?.close();
+    };
+  }, [liveCfg, paused]);
+
+  return status;
+};
+
+// ------------------------- Data hook (mock vs API vs GraphQL) -------------------------
+// Footer count under server pagination: the total, or with an unknown total the rows
+// seen so far and whether more follow ("120+ rows")
+export const footerRowCount = (rowCount, pageInfo, pageSize, pageRows) => {
+  if (pageInfo?.totalKnown !== false) return { count: rowCount, more: false };
+  const seen = pageInfo.pageIndex * pageSize + pageRows;
+  return { count: seen, more: rowCount > seen };
+};
+
+export const useConfigurableData = (
+  config,
+  filtersState,
+  paginationState,
+  sortingState
+) => {
+  const [data, setData] = useState([]);
+  const [rowCount, setRowCount] = useState(0);
+  // pageInfo: { pageIndex actually served, nextCursor, restarted (cursor unknown → page 1),
+  //   totalKnown (false: rowCount is only the pager's "there is a next page" value) }
+  const [pageInfo, setPageInfo] = useState({
+    pageIndex: 0,
+    nextCursor: null,
+    restarted: false,
+    totalKnown: true,
+  });
+  const [loading, setLoading] = useState(false);
+  // Cached rows are on screen and a background request is refreshing them
+  const [revalidating, setRevalidating] = useState(false);
+  const [error, setError] = useState(null);
+  // Rows changed by live updates → { [rowId]: true }, cleared after live.highlightMs
+  const [changedRowIds, setChangedRowIds] = useState({});
+  const dataRef = useRef(data);
+  dataRef.current = data;
+
+  // Pending highlight timeouts, cleared on unmount
+  const highlightTimersRef = useRef(new Set());
+  useEffect(() => {
+    const timers = highlightTimersRef.current;
+    return () => timers.forEach(clearTimeout);
+  }, []);
+  const markChanged = (ids) => {
+    if (!ids.length) return;
+    setChangedRowIds((m) => ({
+      ...m,
+      ...Object.fromEntries(ids.map((id) => [id, true])),
+    }));
+    const timer = setTimeout(() => {
+      highlightTimersRef.current.delete(timer);
+      setChangedRowIds((m) => {
+        const next = { ...m };
+        ids.forEach((id) => delete next[id]);
+        return next;
+      });
+    }, config?.dataSource?.live?.highlightMs || 4000);
+    highlightTimersRef.current.add(timer);
+  };
+
+  // Cursor pagination: cursors[pageIndex] is the cursor that fetches that page.
+  // They are only valid for one filter/sort/page-size combination.
+  const cursorsRef = useRef({ key: null, cursors: { 0: null } });
+  const cursorKey = JSON.stringify([
+    filtersState,
+    sortingState,
+    paginationState?.pageSize,
+  ]);
+  if (cursorsRef.current.key !== cursorKey) {
+    cursorsRef.current = { key: cursorKey, cursors: { 0: null } };
+  }
+
+  // Only the latest request may commit: earlier ones are aborted, and any response
+  // that still arrives late (e.g. from a transform) is dropped by the id check
+  const abortRef = useRef(null);
+  const requestIdRef = useRef(0);
+
+  // Warm the cache with the page after `request` (server pagination only);
+  // aborted when a newer prefetch starts or the request inputs change
+  const prefetchAbortRef = useRef(null);
+  const prefetchNext = (request, result, cacheCfg) => {
+    const ds = config?.dataSource || {};
+    if (!config?.server?.pagination || !cacheCfg) return;
+    const isCursor = ds.paginationType === "cursor";
+    const hasMore = isCursor
+      ? result.nextCursor != null
+      : (request.pageIndex + 1) * request.pageSize < result.total;
+    if (!hasMore) return;
+    const next = {
+      ...request,
+      pageIndex: request.pageIndex + 1,
+      cursor: isCursor ? result.nextCursor : null,
+    };
+    const key = requestCacheKey(config, next);
+    if (readQueryCache(key, cacheCfg)) return;
+    prefetchAbortRef.current?.abort();
+    const controller = new AbortController();
+    prefetchAbortRef.current = controller;
+    loadPage(config, next, controller.signal)
+      .then((value) => writeQueryCache(key, value))
+      .catch(() => {}); // best effort
+  };
+
+  // force: skip the cache; quiet: keep rows on screen (progress bar, no skeletons)
+  // and highlight rows that changed (used by live polling)
+  const fetchData = async ({ force = false, quiet = false } = {}) => {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const requestId = ++requestIdRef.current;
+    const isLatest = () => requestId === requestIdRef.current;
+
+    setError(null);
+    const ds = config?.dataSource || { mode: "mock" };
+    const simulated =
+      ds.mode === "mock" &&
+      (config?.server?.filtering ||
+        config?.server?.sorting ||
+        config?.server?.pagination ||
+        ds.mockServer);
+
+    if (ds.mode === "mock" && !simulated) {
+      const src = Array.isArray(ds.mockData) ? ds.mockData : [];
+      setData(src);
+      setRowCount(src.length);
+      setLoading(false);
+      return;
+    }
+    if (!["mock", "api", "graphql"].includes(ds.mode)) return;
+
+    const isCursor = ds.paginationType === "cursor";
+    let pageIndex = paginationState?.pageIndex || 0;
+    let restarted = false;
+    let cursor = null;
+    if (config?.server?.pagination && paginationState && isCursor) {
+      // Pages can't be skipped: without a known cursor, restart at page 1
+      if (!(pageIndex in cursorsRef.current.cursors)) {
+        pageIndex = 0;
+        restarted = true;
+      }
+      cursor = cursorsRef.current.cursors[pageIndex];
+    }
+    const request = {
+      filtersState,
+      sortingState,
+      pageIndex,
+      pageSize: paginationState?.pageSize,
+      cursor,
+    };
+
+    const commit = (result) => {
+      if (isCursor && result.nextCursor != null)
+        cursorsRef.current.cursors[pageIndex + 1] = result.nextCursor;
+      if (quiet) {
+        const before = new Map(
+          dataRef.current.map((r) => [
+            getRowIdValue(config, r),
+            JSON.stringify(r),
+          ])
+        );
+        markChanged(
+          result.rows
+            .filter(
+              (r) => before.get(getRowIdValue(config, r)) !== JSON.stringify(r)
+            )
+            .map((r) => String(getRowIdValue(config, r)))
+        );
+      }
+      setData(result.rows);
+      setRowCount(result.total);
+      setPageInfo({
+        pageIndex,
+        nextCursor: result.nextCursor,
+        restarted,
+        totalKnown: result.totalKnown !== false,
+      });
+    };
+
+    const cacheCfg = resolveCacheCfg(ds);
+    const key = requestCacheKey(config, request);
+    const cached = cacheCfg && !force ? readQueryCache(key, cacheCfg) : null;
+    if (cached) {
+      commit(cached.value);
+      if (cached.fresh) {
+        setLoading(false);
+        setRevalidating(false);
+        prefetchNext(request, cached.value, cacheCfg);
+        return;
+      }
+      setLoading(false);
+      setRevalidating(true);
+    } else if (quiet) {
+      setRevalidating(true);
+    } else {
+      setLoading(true);
+    }
+
+    try {
+      const result = await loadPage(config, request, controller.signal);
+      if (!isLatest()) return;
+      if (cacheCfg) writeQueryCache(key, result);
+      commit(result);
+      prefetchNext(request, result, cacheCfg);
     } catch (e) {
+      if (controller.signal.aborted || !isLatest()) return; // superseded
       console.error(e);
       setError(e.message || "Error");
     } finally {
-      setLoading(false);
+      if (isLatest()) {
+        setLoading(false);
+        setRevalidating(false);
+      }
     }
   };
 
+  // Manual refresh: drop this data source's cached pages and load again
+  const refetch = ({ quiet = false } = {}) => {
+    invalidateQueryCache(config?.dataSource);
+    return fetchData({ force: true, quiet });
+  };
+
+  // Live push events: patch rows in place so sort, page and selection are kept.
+  // With server pagination an insert may belong on another page → quiet refetch instead.
+  const applyLiveEvents = (events) => {
+    invalidateQueryCache(config?.dataSource);
+    if (
+      config?.server?.pagination &&
+      events.some((e) => e.type === "insert" || e.type === "delete")
+    ) {
+      refetch({ quiet: true });
+      return;
+    }
+    const prev = dataRef.current;
+    const next = applyRowEvents(config, prev, events);
+    dataRef.current = next; // events may arrive faster than renders
+    setData(next);
+    setRowCount((c) => c + next.length - prev.length);
+    markChanged(
+      events
+        .filter((e) => e.type !== "delete")
+        .map((e) => String(e.id ?? getRowIdValue(config, e.row)))
+    );
+  };
+
   useEffect(() => {
     fetchData();
+    return () => {
+      abortRef.current?.abort();
+      prefetchAbortRef.current?.abort();
+    };
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [
     JSON.stringify(filtersState),
@@ -384,38 +3946,47 @@ const useConfigurableData = (
     config?.server?.sorting,
   ]);
 
-  return { data, loading, error, refetch: fetchData };
+  return {
+    data,
+    rowCount,
+    pageInfo,
+    loading,
+    revalidating,
+    error,
+    refetch,
+    applyLiveEvents,
+    changedRowIds,
+  };
 };
 
 // ------------------------- Filter Panel UI -------------------------
+// Cascading filters: clearing every filter that (transitively) depends on `field`
+const clearDependentFilters = (filtersCfg, state, field) =>
+  (filtersCfg || [])
+    .filter((f) => f.dependsOn === field)
+    .reduce(
+      (acc, f) =>
+        clearDependentFilters(
+          filtersCfg,
+          { ...acc, [f.field]: undefined },
+          f.field
+        ),
+      state
+    );
+
 const DetachedFilters = ({
   config,
   filtersState,
   setFiltersState,
+  data,
   inDrawer,
 }) => {
-  const t = useT();
-  const handleSelect = (field, value) =>
-    setFiltersState((s) => ({ ...s, [field]: value }));
-  const handleText = (field, value) =>
-    setFiltersState((s) => ({ ...s, [field]: value }));
-  const handleDatePreset = (field, preset) =>
-    setFiltersState((s) => ({
-      ...s,
-      [field]: { ...(s[field] || {}), preset },
-    }));
-  const handleDateStart = (field, value) =>
-    setFiltersState((s) => ({
-      ...s,
-      [field]: { ...(s[field] || {}), start: value },
-    }));
-  const handleDateEnd = (field, value) =>
-    setFiltersState((s) => ({
-      ...s,
-      [field]: { ...(s[field] || {}), end: value },
-    }));
-  const clearField = (field) =>
-    setFiltersState((s) => ({ ...s, [field]: undefined }));
+  const t = useT();
+  const filterTypes = getFilterTypes(config);
+  const setField = (field, value) =>
+    setFiltersState((s) =>
+      clearDependentFilters(config.filters, { ...s, [field]: value }, field)
+    );
 
   return (
     <Box
@@ -432,302 +4003,1106 @@ const DetachedFilters = ({
         alignItems="flex-start"
       >
         {(config.filters || []).map((f) => {
-          if (f.type === "select") {
-            const value = filtersState[f.field] ?? (f.multiple ? [] : "");
-            return (
-              <FormControl
-                key={f.field}
-                size="small"
-                fullWidth={inDrawer}
-                sx={{ minWidth: inDrawer ? "100%" : 160 }}
-              >
-                <InputLabel>{t(f.labelKey, f.label || f.field)}</InputLabel>
-                <Select
-                  label={t(f.labelKey, f.label || f.field)}
-                  multiple={!!f.multiple}
-                  value={value}
-                  onChange={(e) => handleSelect(f.field, e.target.value)}
-                >
-                  {f.includeEmpty && !f.multiple && (
-                    <MenuItem value="">
-                      <em>{t(f.emptyLabelKey || "common.all", "All")}</em>
-                    </MenuItem>
-                  )}
-                  {(f.options || []).map((opt) => (
-                    <MenuItem key={String(opt.value)} value={opt.value}>
-                      {t(opt.labelKey, opt.label || String(opt.value))}
-                    </MenuItem>
-                  ))}
-                </Select>
-              </FormControl>
-            );
-          }
-
-          if (f.type === "text") {
-            return (
-              <TextField
-                key={f.field}
-                size="small"
-                fullWidth={inDrawer}
-                sx={{ minWidth: inDrawer ? "100%" : 220 }}
-                label={t(f.labelKey, f.label || f.field)}
-                placeholder={t(f.placeholderKey, f.placeholder || "")}
-                value={filtersState[f.field] || ""}
-                onChange={(e) => handleText(f.field, e.target.value)}
-              />
-            );
-          }
-
-          if (f.type === "date") {
-            const fs = filtersState[f.field] || {};
-            const presets = f.presets || [
-              {
-                key: "filters.date.last7Days",
-                preset: { type: "lastNDays", n: 7 },
-              },
-              {
-                key: "filters.date.last30Days",
-                preset: { type: "lastNDays", n: 30 },
-              },
-              {
-                key: "filters.date.quarterToDate",
-                preset: { type: "quarterToDate" },
-              },
-              {
-                key: "filters.date.last5Years",
-                preset: { type: "lastNYears", n: 5 },
-              },
-            ];
-            return (
-              <Stack
-                key={f.field}
-                direction={inDrawer ? "column" : "row"}
-                spacing={inDrawer ? 2 : 1}
-                sx={{
-                  width: inDrawer ? "100%" : "auto",
-                  flexWrap: inDrawer ? "nowrap" : "wrap",
-                }}
-              >
-                <FormControl
-                  size="small"
-                  fullWidth={inDrawer}
-                  sx={{ minWidth: inDrawer ? "100%" : 180 }}
-                >
-                  <InputLabel>{t(f.labelKey, f.label || f.field)}</InputLabel>
-                  <Select
-                    label={t(f.labelKey, f.label || f.field)}
-                    value={fs?.preset?.type ? JSON.stringify(fs.preset) : ""}
-                    onChange={(e) => {
-                      const p = e.target.value
-                        ? JSON.parse(e.target.value)
-                        : undefined;
-                      handleDatePreset(f.field, p);
-                    }}
-                  >
-                    <MenuItem value="">
-                      <em>{t("filters.date.custom", "Custom Range")}</em>
-                    </MenuItem>
-                    {presets.map((p) => (
-                      <MenuItem key={p.key} value={JSON.stringify(p.preset)}>
-                        {t(p.key)}
-                      </MenuItem>
-                    ))}
-                  </Select>
-                </FormControl>
-                <TextField
-                  type="date"
-                  size="small"
-                  fullWidth={inDrawer}
-                  label={t("filters.date.from", "From")}
-                  InputLabelProps={{ shrink: true }}
-                  value={fs.start || ""}
-                  onChange={(e) => handleDateStart(f.field, e.target.value)}
-                />
-                <TextField
-                  type="date"
-                  size="small"
-                  fullWidth={inDrawer}
-                  label={t("filters.date.to", "To")}
-                  InputLabelProps={{ shrink: true }}
-                  value={fs.end || ""}
-                  onChange={(e) => handleDateEnd(f.field, e.target.value)}
-                />
-                {(fs.start || fs.end || fs.preset) && (
-                  <Chip
-                    size="small"
-                    label={t("filters.clear", "Clear")}
-                    onClick={() => clearField(f.field)}
-                  />
-                )}
-              </Stack>
-            );
-          }
-
-          return null;
+          const Control = filterTypes[f.type]?.Component;
+          if (!Control || f.inHeader) return null;
+          return (
+            <Control
+              key={f.field}
+              f={f}
+              value={filtersState[f.field]}
+              onChange={(value) => setField(f.field, value)}
+              inDrawer={inDrawer}
+              t={t}
+              filtersState={filtersState}
+              data={data}
+              config={config}
+            />
+          );
         })}
       </Stack>
     </Box>
   );
 };
 
+// Active filters summary: one removable chip per filter plus "Clear all"
+const ActiveFiltersBar = ({ items, onRemove, onClearAll }) => {
+  const t = useT();
+  if (!items.length) return null;
+  return (
+    <Stack
+      direction="row"
+      spacing={1}
+      alignItems="center"
+      useFlexGap
+      sx={{ mb: 1, flexWrap: "wrap" }}
+    >
+      {items.map((d) => (
+        <Chip
+          key={d.field}
+          size="small"
+          label={`${d.label}: ${d.text}`}
+          onDelete={() => onRemove(d.field)}
+        />
+      ))}
+      <Button size="small" onClick={onClearAll}>
+        {t("filters.clearAll", "Clear all")}
+      </Button>
+    </Stack>
+  );
+};
+
 // ------------------------- Export Menu -------------------------
-const ExportMenu = ({
+export const ExportMenu = ({
   anchorEl,
   onClose,
   options,
   rowsForExport,
   columnsForExport,
+  describeFilters,
+  counts,
 }) => {
   const t = useT();
   const open = Boolean(anchorEl);
+  const exporters = getExporters(options);
+  // counts.limit: the most rows an "all matching" export can fetch (server pagination)
+  const overLimit = counts.limit != null && counts.all > counts.limit;
+  // Which rows: 'selected' | 'page' | 'all' (defaults to the selection when there is one)
+  const [scope, setScope] = useState(null);
+  const activeScope =
+    scope &&
+    (scope !== "selected" || counts.selected) &&
+    (scope !== "all" || !overLimit)
+      ? scope
+      : counts.selected
+      ? "selected"
+      : overLimit
+      ? "page"
+      : "all";
+  const [progress, setProgress] = useState(null); // { loaded, total, error? } while fetching
+  const [review, setReview] = useState(null); // { problems, proceed } from exporter.validate
+  const abortRef = useRef(null);
 
-  const doExport = async (type) => {
-    const rows = rowsForExport();
-    const cols = columnsForExport();
-    const fnameBase = options?.fileNameBase || "export";
-    const style = options?.styles || {};
-
-    if (type === "csv") {
-      const csv = toCSV(rows, cols);
-      const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-      saveAs(blob, `${fnameBase}.csv`);
-    } else if (type === "excel") {
-      await exportExcel(rows, cols, `${fnameBase}.xlsx`, style.excel);
-    } else if (type === "pdf") {
-      exportPDF(rows, cols, `${fnameBase}.pdf`, style.pdf);
-    } else if (type === "quickbooks") {
-      exportQuickBooksJSON(
-        rows,
-        options?.quickBooksMapping || {},
-        `${fnameBase}-quickbooks.json`
-      );
-    } else if (type === "fmcsa") {
-      exportFMCSAPDF(rows, cols, style.fmcsa || {}, `${fnameBase}-fmcsa.pdf`);
+  const runExporter = async (exporter, rows, ctx) => {
+    try {
+      await exporter.run(rows, columnsForExport(), ctx);
+    } catch (e) {
+      setProgress({ error: e });
     }
+  };
+
+  const doExport = async (id) => {
+    const exporter = exporters[id];
+    const fileNameBase = options?.fileNameBase || "export";
+    const filters = describeFilters?.() || [];
+    const summary = filterSummaryText(filters);
     onClose?.();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    try {
+      const rows = await rowsForExport(activeScope, {
+        signal: controller.signal,
+        onProgress: setProgress,
+      });
+      setProgress(null);
+      const ctx = {
+        fileName: `${fileNameBase}${exporter.fileSuffix || ""}.${
+          exporter.extension
+        }`,
+        fileNameBase,
+        style: options?.styles?.[id] || {},
+        options,
+        filters,
+        filterSummary: summary
+          ? t("exports.filterSummary", "Filters: {{summary}}", { summary })
+          : undefined,
+        t,
+      };
+      const problems = exporter.validate?.(rows, columnsForExport(), ctx) || [];
+      if (problems.length)
+        setReview({
+          problems,
+          proceed: () => runExporter(exporter, rows, ctx),
+        });
+      else await runExporter(exporter, rows, ctx);
+    } catch (e) {
+      if (controller.signal.aborted) setProgress(null);
+      else setProgress((p) => ({ ...(p || {}), error: e }));
+    }
   };
 
+  const allLabel =
+    counts.limit == null
+      ? null
+      : overLimit
+      ? t(
+          "exports.scope.allOverLimit",
+          "All matching ({{count}}, export limit {{max}})",
+          { count: counts.all, max: counts.limit }
+        )
+      : counts.all == null
+      ? t("exports.scope.allUpTo", "All matching (up to {{max}})", {
+          max: counts.limit,
+        })
+      : null;
+  const scopes = [
+    ["selected", t("exports.scope.selected", "Selected"), counts.selected],
+    ["page", t("exports.scope.page", "Current page"), counts.page],
+    ["all", allLabel || t("exports.scope.all", "All matching"), counts.all],
+  ];
+
   return (
-    <Menu anchorEl={anchorEl} open={open} onClose={onClose} keepMounted>
-      {(options?.types || ["csv", "excel", "pdf", "quickbooks", "fmcsa"]).map(
-        (type) => {
-          const icon =
-            type === "csv" ? (
-              <TableViewOutlinedIcon />
-            ) : type === "excel" ? (
-              <GridOnOutlinedIcon />
-            ) : type === "pdf" ? (
-              <PictureAsPdfOutlinedIcon />
-            ) : type === "quickbooks" ? (
-              <DataObjectOutlinedIcon />
-            ) : (
-              <PictureAsPdfOutlinedIcon />
+    <>
+      <Menu anchorEl={anchorEl} open={open} onClose={onClose} keepMounted>
+        <Box sx={{ px: 2, pt: 0.5, pb: 1 }}>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={activeScope}
+            onChange={(e, v) => v && setScope(v)}
+          >
+            {scopes.map(([value, label, count]) => (
+              <ToggleButton
+                key={value}
+                value={value}
+                disabled={
+                  (value === "selected" && !counts.selected) ||
+                  (value === "all" && overLimit)
+                }
+                sx={{ textTransform: "none" }}
+              >
+                {count != null && !(value === "all" && allLabel)
+                  ? `${label} (${count})`
+                  : label}
+              </ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+        </Box>
+        <Divider />
+        {(options?.types || Object.keys(exporters))
+          .filter((id) => exporters[id])
+          .map((id) => {
+            const exporter = exporters[id];
+            const labelKey = options?.labelKeys?.[id] || exporter.labelKey;
+            return (
+              <MenuItem key={id} onClick={() => doExport(id)}>
+                <ListItemIcon>{exporterIcon(exporter.icon)}</ListItemIcon>
+                <ListItemText>
+                  {t(labelKey, exporter.label || id.toUpperCase())}
+                </ListItemText>
+              </MenuItem>
             );
-          const labelKey = options?.labelKeys?.[type] || `exports.${type}`;
-          return (
-            <MenuItem key={type} onClick={() => doExport(type)}>
-              <ListItemIcon>{icon}</ListItemIcon>
-              <ListItemText>{t(labelKey, type.toUpperCase())}</ListItemText>
-            </MenuItem>
-          );
-        }
+          })}
+      </Menu>
+
+      {/* Progress (fetching every matching row) with cancel */}
+      <Dialog open={!!progress} maxWidth="xs" fullWidth>
+        <DialogTitle>{t("exports.preparing", "Preparing export")}</DialogTitle>
+        <DialogContent>
+          {progress?.error ? (
+            <Alert severity="error">
+              {progress.error.code === "EXPORT_LIMIT"
+                ? progress.error.total != null
+                  ? t(
+                      "exports.tooMany",
+                      "{{total}} rows match, but exports are limited to {{max}}. Narrow the filters and try again.",
+                      {
+                        total: progress.error.total,
+                        max: progress.error.maxRows,
+                      }
+                    )
+                  : t(
+                      "exports.tooManyUnknown",
+                      "More than {{max}} rows match, but exports are limited to {{max}}. Narrow the filters and try again.",
+                      { max: progress.error.maxRows }
+                    )
+                : progress.error.message ||
+                  t("exports.failed", "The export failed.")}
+            </Alert>
+          ) : (
+            <Stack spacing={1}>
+              <LinearProgress
+                variant={progress?.total ? "determinate" : "indeterminate"}
+                value={
+                  progress?.total
+                    ? Math.min(100, (progress.loaded / progress.total) * 100)
+                    : undefined
+                }
+              />
+              <Typography variant="body2" color="text.secondary">
+                {t("exports.progress", "{{loaded}} of {{total}} rows", {
+                  loaded: progress?.loaded ?? 0,
+                  total: progress?.total ?? "?",
+                })}
+              </Typography>
+            </Stack>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button
+            onClick={() =>
+              progress?.error ? setProgress(null) : abortRef.current?.abort()
+            }
+          >
+            {progress?.error
+              ? t("common.close", "Close")
+              : t("common.cancel", "Cancel")}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Validation problems to review before the file is written */}
+      <Dialog
+        open={!!review}
+        onClose={() => setReview(null)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>
+          {t("exports.review.title", "Review before exporting")}
+        </DialogTitle>
+        <DialogContent dividers>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            {review?.problems.some((p) => p.blocking)
+              ? t(
+                  "exports.review.blocked",
+                  "Fix the errors below before exporting."
+                )
+              : t(
+                  "exports.review.summary",
+                  "{{errors}} error(s) and {{warnings}} warning(s) were found.",
+                  {
+                    errors: review?.problems.filter(
+                      (p) => p.severity === "error"
+                    ).length,
+                    warnings: review?.problems.filter(
+                      (p) => p.severity !== "error"
+                    ).length,
+                  }
+                )}
+          </Typography>
+          <Stack spacing={1}>
+            {review?.problems.map((p, i) => (
+              <Alert
+                key={i}
+                severity={p.severity === "error" ? "error" : "warning"}
+                sx={{ py: 0 }}
+              >
+                {p.message}
+              </Alert>
+            ))}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReview(null)}>
+            {t("common.cancel", "Cancel")}
+          </Button>
+          {!review?.problems.some((p) => p.blocking) && (
+            <Button
+              color="warning"
+              variant="contained"
+              onClick={() => {
+                const { proceed } = review;
+                setReview(null);
+                proceed();
+              }}
+            >
+              {t("exports.review.exportAnyway", "Export anyway")}
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+// ------------------------- Column layout -------------------------
+// Visibility, order, pinning and widths, persisted per page id in localStorage
+// (config.columnLayout = { persist: false } to opt out, storageKey to override).
+// Column defaults: hidden: true, pin: 'left' | 'right', size / minSize / maxSize.
+const columnLayoutStorageKey = (config) =>
+  config?.columnLayout?.storageKey ||
+  `mrt.columnLayout.${config?.pageId || "default"}`;
+
+export const defaultColumnLayout = (config) => {
+  const cols = config?.columns || [];
+  const pinned = (side) => cols.filter((c) => c.pin === side).map(columnId);
+  return {
+    visibility: Object.fromEntries(
+      cols.filter((c) => c.hidden).map((c) => [columnId(c), false])
+    ),
+    // The selection checkbox stays in front of left-pinned columns
+    pinning: {
+      left: pinned("left").length ? ["mrt-row-select", ...pinned("left")] : [],
+      right: pinned("right"),
+    },
+    sizing: {},
+  };
+};
+
+export const loadColumnLayout = (config) => {
+  const defaults = defaultColumnLayout(config);
+  if (config?.columnLayout?.persist === false) return defaults;
+  try {
+    const raw = window.localStorage.getItem(columnLayoutStorageKey(config));
+    return raw ? { ...defaults, ...JSON.parse(raw) } : defaults;
+  } catch (e) {
+    reportError(config, e, "columnLayout.load");
+    return defaults;
+  }
+};
+
+// Writes the table's current layout after changes settle (resizing fires continuously)
+export const useColumnLayoutPersistence = (config, table) => {
+  const s = table.getState();
+  const layout = JSON.stringify({
+    visibility: s.columnVisibility,
+    order: s.columnOrder,
+    pinning: s.columnPinning,
+    sizing: s.columnSizing,
+  });
+  const enabled = config?.columnLayout?.persist !== false;
+  const key = columnLayoutStorageKey(config);
+  const configRef = useRef(config);
+  configRef.current = config;
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const id = setTimeout(() => {
+      try {
+        window.localStorage.setItem(key, layout);
+      } catch (e) {
+        reportError(configRef.current, e, "columnLayout.save");
+      }
+    }, 300);
+    return () => clearTimeout(id);
+  }, [enabled, key, layout]);
+};
+
+// ------------------------- Saved views -------------------------
+// A storage adapter persists one document per page id: { views: [{ id, name, state }], defaultId }
+// where state = { filters, sorting, pageSize, columns: { visibility, order, pinning, sizing } }.
+// Custom adapters only need async load(pageId) and save(pageId, doc).
+export const createLocalStorageViewsAdapter = (
+  keyPrefix = "mrt.savedViews"
+) => ({
+  load: async (pageId) => {
+    const raw = window.localStorage.getItem(`${keyPrefix}.${pageId}`);
+    return raw ? JSON.parse(raw) : { views: [], defaultId: null };
+  },
+  save: async (pageId, doc) => {
+    window.localStorage.setItem(`${keyPrefix}.${pageId}`, JSON.stringify(doc));
+  },
+});
+
+// API adapter: GET {url}/{pageId} → doc, PUT {url}/{pageId} with the doc as JSON body
+export const createApiViewsAdapter = ({ url, headers = {}, getAuth }) => {
+  const endpoint = (pageId) =>
+    `${url.replace(/\/$/, "")}/${encodeURIComponent(pageId)}`;
+  return {
+    load: async (pageId) => {
+      const res = await authFetch(getAuth?.(), endpoint(pageId), { headers });
+      if (res.status === 404) return { views: [], defaultId: null };
+      if (!res.ok) throw httpError(res);
+      const payload = await res.json();
+      return {
+        views: Array.isArray(payload?.views) ? payload.views : [],
+        defaultId: payload?.defaultId ?? null,
+      };
+    },
+    save: async (pageId, doc) => {
+      const res = await authFetch(getAuth?.(), endpoint(pageId), {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(doc),
+      });
+      if (!res.ok) throw httpError(res);
+    },
+  };
+};
+
+export const resolveViewsAdapter = (viewsCfg, getAuth) => {
+  const storage = viewsCfg?.storage;
+  if (storage && typeof storage.load === "function") return storage; // custom adapter
+  if (storage === "api" && viewsCfg?.url)
+    return createApiViewsAdapter({
+      url: viewsCfg.url,
+      headers: viewsCfg.headers,
+      getAuth,
+    });
+  return createLocalStorageViewsAdapter(viewsCfg?.keyPrefix);
+};
+
+export const useSavedViews = (config) => {
+  const viewsCfg = config?.savedViews;
+  const pageId = config?.pageId || "default";
+  // Latest config (auth hooks, onError) without re-creating the adapter on every render
+  const configRef = useRef(config);
+  configRef.current = config;
+  const adapter = useMemo(
+    () => resolveViewsAdapter(viewsCfg, () => configRef.current?.dataSource),
+    [viewsCfg]
+  );
+  const [doc, setDoc] = useState({ views: [], defaultId: null });
+  const [loaded, setLoaded] = useState(false);
+  // Latest document, so several changes before a re-render build on each other
+  const docRef = useRef(doc);
+
+  useEffect(() => {
+    let alive = true;
+    setLoaded(false);
+    adapter
+      .load(pageId)
+      .then((d) => {
+        if (!alive) return;
+        docRef.current = d || { views: [], defaultId: null };
+        setDoc(docRef.current);
+      })
+      .catch((e) => reportError(configRef.current, e, "savedViews.load"))
+      .finally(() => alive && setLoaded(true));
+    return () => {
+      alive = false;
+    };
+  }, [adapter, pageId]);
+
+  // update(prev) → next document; stored, then saved through the adapter
+  const persist = (update) => {
+    const next = update(docRef.current);
+    docRef.current = next;
+    setDoc(next);
+    adapter
+      .save(pageId, next)
+      .catch((e) => reportError(configRef.current, e, "savedViews.save"));
+  };
+
+  const saveView = (name, state) => {
+    const id = `${Date.now().toString(36)}${Math.random()
+      .toString(36)
+      .slice(2, 6)}`;
+    persist((d) => ({ ...d, views: [...d.views, { id, name, state }] }));
+    return id;
+  };
+  const updateView = (id, state) =>
+    persist((d) => ({
+      ...d,
+      views: d.views.map((v) => (v.id === id ? { ...v, state } : v)),
+    }));
+  const renameView = (id, name) =>
+    persist((d) => ({
+      ...d,
+      views: d.views.map((v) => (v.id === id ? { ...v, name } : v)),
+    }));
+  const deleteView = (id) =>
+    persist((d) => ({
+      views: d.views.filter((v) => v.id !== id),
+      defaultId: d.defaultId === id ? null : d.defaultId,
+    }));
+  const setDefaultView = (id) =>
+    persist((d) => ({ ...d, defaultId: d.defaultId === id ? null : id }));
+
+  return {
+    views: doc.views,
+    defaultId: doc.defaultId,
+    loaded,
+    saveView,
+    updateView,
+    renameView,
+    deleteView,
+    setDefaultView,
+  };
+};
+
+const SavedViewsMenu = ({ savedViews, getCurrentState, applyState }) => {
+  const t = useT();
+  const [anchorEl, setAnchorEl] = useState(null);
+  // dialog: { mode: 'save' | 'rename', id?, name }
+  const [dialog, setDialog] = useState(null);
+
+  const closeMenu = () => setAnchorEl(null);
+  const submitDialog = () => {
+    const name = (dialog?.name || "").trim();
+    if (!name) return;
+    if (dialog.mode === "rename") savedViews.renameView(dialog.id, name);
+    else savedViews.saveView(name, getCurrentState());
+    setDialog(null);
+  };
+
+  return (
+    <>
+      <Button
+        startIcon={<BookmarksOutlinedIcon />}
+        variant="outlined"
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+      >
+        {t("views.title", "Views")}
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={closeMenu}>
+        {savedViews.views.length === 0 && (
+          <MenuItem disabled>
+            <ListItemText>{t("views.empty", "No saved views")}</ListItemText>
+          </MenuItem>
+        )}
+        {savedViews.views.map((v) => (
+          <MenuItem
+            key={v.id}
+            onClick={() => {
+              applyState(v.state);
+              closeMenu();
+            }}
+          >
+            <ListItemText>{v.name}</ListItemText>
+            <IconButton
+              size="small"
+              aria-label={t("views.setDefault", "Set as default")}
+              onClick={(e) => {
+                e.stopPropagation();
+                savedViews.setDefaultView(v.id);
+              }}
+            >
+              {savedViews.defaultId === v.id ? (
+                <StarIcon fontSize="small" color="warning" />
+              ) : (
+                <StarBorderIcon fontSize="small" />
+              )}
+            </IconButton>
+            <IconButton
+              size="small"
+              aria-label={t("views.overwrite", "Update with current")}
+              onClick={(e) => {
+                e.stopPropagation();
+                savedViews.updateView(v.id, getCurrentState());
+              }}
+            >
+              <SaveOutlinedIcon fontSize="small" />
+            </IconButton>
+            <IconButton
+              size="small"
+              aria-label={t("views.rename", "Rename")}
+              onClick={(e) => {
+                e.stopPropagation();
+                setDialog({ mode: "rename", id: v.id, name: v.name });
+                closeMenu();
+              }}
+            >
+              <EditOutlinedIcon fontSize="small" />
+            </IconButton>
+            <IconButton
+              size="small"
+              aria-label={t("views.delete", "Delete")}
+              onClick={(e) => {
+                e.stopPropagation();
+                savedViews.deleteView(v.id);
+              }}
+            >
+              <DeleteOutlineIcon fontSize="small" />
+            </IconButton>
+          </MenuItem>
+        ))}
+        <Divider />
+        <MenuItem
+          onClick={() => {
+            setDialog({ mode: "save", name: "" });
+            closeMenu();
+          }}
+        >
+          <ListItemIcon>
+            <SaveOutlinedIcon />
+          </ListItemIcon>
+          <ListItemText>{t("views.save", "Save current view…")}</ListItemText>
+        </MenuItem>
+      </Menu>
+
+      <Dialog open={Boolean(dialog)} onClose={() => setDialog(null)}>
+        <DialogTitle>
+          {dialog?.mode === "rename"
+            ? t("views.rename", "Rename")
+            : t("views.save", "Save current view…")}
+        </DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            size="small"
+            margin="dense"
+            label={t("views.name", "View name")}
+            value={dialog?.name || ""}
+            onChange={(e) => setDialog((d) => ({ ...d, name: e.target.value }))}
+            onKeyDown={(e) => e.key === "Enter" && submitDialog()}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialog(null)}>
+            {t("common.cancel", "Cancel")}
+          </Button>
+          <Button
+            variant="contained"
+            disabled={!(dialog?.name || "").trim()}
+            onClick={submitDialog}
+          >
+            {t("common.save", "Save")}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+// ------------------------- Error / empty states -------------------------
+const ErrorPanel = ({ error, onRetry, retrying }) => {
+  const t = useT();
+  return (
+    <Alert
+      severity="error"
+      sx={{ mb: 2 }}
+      action={
+        <Button
+          color="inherit"
+          size="small"
+          startIcon={<RefreshIcon />}
+          disabled={retrying}
+          onClick={onRetry}
+        >
+          {t("common.retry", "Retry")}
+        </Button>
+      }
+    >
+      <AlertTitle>{t("table.error.title", "Couldn't load data")}</AlertTitle>
+      {error}
+    </Alert>
+  );
+};
+
+// "No data" when the source itself is empty vs. "No matches" when filters exclude everything
+export const EmptyRowsState = ({ filtered, onClearFilters }) => {
+  const t = useT();
+  const Icon = filtered ? SearchOffIcon : InboxOutlinedIcon;
+  return (
+    <Stack alignItems="center" spacing={1} sx={{ py: 6, width: "100%" }}>
+      <Icon color="disabled" sx={{ fontSize: 40 }} />
+      <Typography variant="subtitle1">
+        {filtered
+          ? t("table.empty.noMatches", "No rows match your filters")
+          : t("table.empty.noData", "No data")}
+      </Typography>
+      {filtered && (
+        <Button size="small" onClick={onClearFilters}>
+          {t("table.empty.clearFilters", "Clear filters")}
+        </Button>
       )}
-    </Menu>
+    </Stack>
   );
 };
 
 // ------------------------- Main Component -------------------------
-export default function ConfigurableMRTPage({ config = defaultConfig }) {
+// The config as the page uses it: filter types defaulted from column types, the quick
+// search filter, and field readers on every filter (nested paths & computed columns)
+export const normalizeConfig = (config) =>
+  withFieldAccessors(withQuickSearch(withColumnTypeDefaults(config)));
+
+export default function ConfigurableMRTPage({
+  config: pageConfig = defaultConfig,
+}) {
+  const config = useMemo(() => normalizeConfig(pageConfig), [pageConfig]);
   const t = useT();
+  const { i18n } = useTranslation();
+  // Column type formatting context (locale-aware via Intl, page timezone)
+  const formatCtx = useMemo(
+    () => ({
+      locale: config.locale || i18n.language,
+      timezone: config.dates?.timezone,
+      t,
+    }),
+    [config.locale, i18n.language, config.dates?.timezone, t]
+  );
+  // Quick search matches cell text (typed columns formatted) in client filtering and
+  // the simulated server alike
+  const dataConfig = useMemo(
+    () => ({
+      ...config,
+      filters: withQuickSearchText(config.filters, config.columns, formatCtx),
+    }),
+    [config, formatCtx]
+  );
   const theme = useTheme();
   const isSm = useMediaQuery(theme.breakpoints.down("md"));
 
-  // Safe back navigation without requiring a Router
+  const navigate = useNavigate();
   const handleBack = () => {
     if (window.history.length > 1) {
-      window.history.back();
+      navigate(-1);
     } else {
       // fallback action (e.g., go to home)
-      window.location.href = "/";
+      navigate(config.backTo || "/");
     }
   };
 
-  // Filters state (per field)
-  const [filtersState, setFiltersState] = useState({});
-  // Pagination/sorting for potential server usage
-  const [pagination, setPagination] = useState({ pageIndex: 0, pageSize: 10 });
-  const [sorting, setSorting] = useState([]); // [{id:'field', desc:false}]
+  // Filters (per field), sorting [{id:'field', desc:false}] and pagination,
+  // read from / written to the query string so views survive refresh & sharing
+  const {
+    filtersState,
+    setFiltersState,
+    sorting,
+    setSorting,
+    pagination,
+    setPagination,
+    hasUrlState,
+    appliedFilters,
+  } = useUrlTableState(config);
 
   const {
     data: rawData,
+    rowCount,
+    pageInfo,
     loading,
+    revalidating,
     error,
-  } = useConfigurableData(config, filtersState, pagination, sorting);
+    refetch,
+    applyLiveEvents,
+    changedRowIds,
+  } = useConfigurableData(dataConfig, appliedFilters, pagination, sorting);
+
+  // Live updates (polling / SSE / WebSocket) with a pause toggle in the header
+  const liveCfg = config?.dataSource?.live;
+  const [livePaused, setLivePaused] = useState(false);
+  const liveStatus = useLiveUpdates(liveCfg, {
+    paused: livePaused,
+    onEvents: applyLiveEvents,
+    onPoll: () => refetch({ quiet: true }),
+    onError: (e) => reportError(config, e, "live"),
+  });
+
+  // Cursor pagination can't jump to an unvisited page (e.g. ?page=4 from a shared link)
+  useEffect(() => {
+    if (pageInfo.restarted) setPagination((p) => ({ ...p, pageIndex: 0 }));
+  }, [pageInfo, setPagination]);
+
+  // Changing filters starts again from the first page
+  const updateFilters = (updater) => {
+    setFiltersState(updater);
+    setPagination((p) => (p.pageIndex ? { ...p, pageIndex: 0 } : p));
+  };
+
+  // Quick search matches are highlighted in the cells of searched columns
+  const quickSearchDef = config.filters?.find((f) => f.type === "quickSearch");
+  const quickSearchQuery = quickSearchDef
+    ? appliedFilters[quickSearchDef.field]
+    : undefined;
+
+  // Conditional formatting (config.formatRules) for cells, rows and exports
+  const readField = useMemo(
+    () => createFieldReader(config.columns),
+    [config.columns]
+  );
+  const formatOf = useCallback(
+    (row, colId = null) =>
+      resolveRowFormat(config.formatRules, row, readField, config.dates, colId),
+    [config.formatRules, readField, config.dates]
+  );
 
   // Columns with i18n headers
-  const columns = useMemo(
-    () =>
-      (config.columns || []).map((c) => ({
+  const columns = useMemo(() => {
+    const terms = parseQuickSearch(quickSearchQuery);
+    const highlighted = (key) =>
+      terms.length &&
+      quickSearchDef.highlight !== false &&
+      (quickSearchDef.fields || [key]).includes(key);
+    return (config.columns || []).map((c) => {
+      // optional custom renderer, else the column type's formatter
+      const format = c.type ? createColumnFormatter(c, formatCtx) : null;
+      const render =
+        c.Cell || (format ? ({ cell }) => format(cell.getValue()) : null);
+      const compare = columnComparator(c);
+      const id = columnId(c);
+      const base = render || ((props) => props.renderedCellValue);
+      const shown = highlighted(id)
+        ? (props) =>
+            highlightNode(base(props), terms, quickSearchDef.fuzzy !== false)
+        : base;
+      const hasRules = (config.formatRules || []).some(
+        (r) => !r.row && (r.columns || [r.field]).includes(id)
+      );
+      return {
+        id,
         accessorKey: c.accessorKey,
-        header: t(c.headerKey, c.header || c.accessorKey),
+        // Nested paths & computed values go through our accessor (MRT can't read them)
+        accessorFn: createColumnAccessor(c),
+        header: t(c.headerKey, c.header || id),
         size: c.size || 150,
-        Cell: c.Cell, // optional custom renderer
-      })),
-    [config.columns, t]
-  );
+        ...(c.minSize ? { minSize: c.minSize } : {}),
+        ...(c.maxSize ? { maxSize: c.maxSize } : {}),
+        ...(c.enableHiding === false ? { enableHiding: false } : {}),
+        ...(c.type
+          ? {
+              sortingFn: (ra, rb, id) =>
+                compare(ra.getValue(id), rb.getValue(id)),
+            }
+          : {}),
+        muiTableBodyCellProps: ({ row }) => ({
+          align: columnTypes[c.type]?.numeric ? "right" : undefined,
+          sx: hasRules
+            ? formatRuleSx(theme, {
+                background: formatOf(row.original, id)?.background,
+              })
+            : undefined,
+        }),
+        Cell:
+          hasRules || shown !== base || render
+            ? (props) => {
+                const fmt = hasRules ? formatOf(props.row.original, id) : null;
+                const content = shown(props);
+                return fmt ? (
+                  <FormattedCell fmt={fmt}>{content}</FormattedCell>
+                ) : (
+                  content
+                );
+              }
+            : undefined,
+      };
+    });
+  }, [
+    config.columns,
+    config.formatRules,
+    t,
+    quickSearchQuery,
+    quickSearchDef,
+    formatCtx,
+    formatOf,
+    theme,
+  ]);
 
   // When using client-side filtering, apply here
   const filteredData = useMemo(() => {
     if (config?.server?.filtering) return rawData || [];
-    return applyClientFilters(rawData || [], config.filters, filtersState);
-  }, [rawData, filtersState, config]);
+    return applyClientFilters(
+      rawData || [],
+      dataConfig.filters,
+      appliedFilters,
+      getFilterTypes(config)
+    );
+  }, [rawData, appliedFilters, config, dataConfig]);
+
+  // Column layout restored from the last visit (or column defaults)
+  const [initialLayout] = useState(() => loadColumnLayout(config));
 
   // MRT table instance
   const table = useMaterialReactTable({
     columns,
     data: filteredData,
     enableSorting: true,
-    enableColumnActions: false,
+    // Column chooser (toolbar) & column menus: show/hide, drag to reorder, pin, resize
+    enableColumnActions: true,
+    enableHiding: true,
+    enableColumnOrdering: true,
+    enableColumnPinning: true,
+    enableColumnResizing: true,
     enableColumnFilters: false,
     enableGlobalFilter: false,
     enableFullScreenToggle: false,
     enableRowSelection: true,
-    state: { sorting, pagination },
+    // Stable row ids keep selection attached to the same rows across reloads & live updates
+    getRowId: (row, index) => {
+      const id = getRowIdValue(config, row);
+      return id != null ? String(id) : String(index);
+    },
+    muiTableBodyRowProps: ({ row }) => ({
+      sx: {
+        transition: "background-color 1s ease",
+        ...formatRuleSx(theme, formatOf(row.original)),
+        ...(changedRowIds[row.id]
+          ? { bgcolor: alpha(theme.palette.warning.light, 0.25) }
+          : {}),
+      },
+    }),
+    // Server-driven modes: MRT must not re-sort/re-page the rows it's given
+    manualPagination: !!config?.server?.pagination,
+    manualSorting: !!config?.server?.sorting,
+    manualFiltering: !!config?.server?.filtering,
+    rowCount: config?.server?.pagination ? rowCount : undefined,
+    state: {
+      sorting,
+      pagination,
+      showSkeletons: loading,
+      showProgressBars: revalidating,
+    },
     onSortingChange: setSorting,
     onPaginationChange: setPagination,
-    initialState: { density: "compact" },
+    initialState: {
+      density: "compact",
+      columnVisibility: initialLayout.visibility,
+      columnPinning: initialLayout.pinning,
+      columnSizing: initialLayout.sizing,
+      ...(initialLayout.order?.length
+        ? { columnOrder: initialLayout.order }
+        : {}),
+    },
     layoutMode: "semantic",
     muiTableContainerProps: { sx: { maxHeight: "calc(100vh - 240px)" } },
     renderTopToolbarCustomActions: () => null,
+    renderEmptyRowsFallback: () =>
+      error ? null : (
+        <EmptyRowsState
+          filtered={hasActiveFilters(
+            config.filters,
+            appliedFilters,
+            getFilterTypes(config)
+          )}
+          onClearFilters={() => updateFilters({})}
+        />
+      ),
   });
 
+  useColumnLayoutPersistence(config, table);
+
+  // Saved views (filters, sorting, page size, column layout)
+  const savedViews = useSavedViews(config);
+  const getCurrentViewState = () => {
+    const s = table.getState();
+    return {
+      filters: filtersState,
+      sorting,
+      pageSize: pagination.pageSize,
+      columns: {
+        visibility: s.columnVisibility,
+        order: s.columnOrder,
+        pinning: s.columnPinning,
+        sizing: s.columnSizing,
+      },
+    };
+  };
+  const applyViewState = useCallback(
+    (view) => {
+      setFiltersState(view?.filters || {});
+      setSorting(view?.sorting || []);
+      setPagination((p) => ({
+        pageIndex: 0,
+        pageSize: view?.pageSize || p.pageSize,
+      }));
+      if (view?.columns) {
+        table.setColumnVisibility(view.columns.visibility || {});
+        table.setColumnOrder(view.columns.order || []);
+        table.setColumnPinning(
+          view.columns.pinning || defaultColumnLayout(config).pinning
+        );
+        table.setColumnSizing(view.columns.sizing || {});
+      }
+    },
+    [setFiltersState, setSorting, setPagination, table, config]
+  );
+  // Apply the default view once, unless the URL already describes a view
+  const defaultViewApplied = useRef(false);
+  const { loaded: viewsLoaded, views, defaultId } = savedViews;
+  useEffect(() => {
+    if (defaultViewApplied.current || !viewsLoaded) return;
+    defaultViewApplied.current = true;
+    if (hasUrlState) return;
+    const view = views.find((v) => v.id === defaultId);
+    if (view) applyViewState(view.state);
+  }, [viewsLoaded, views, defaultId, hasUrlState, applyViewState]);
+
   // Export menu anchor
   const [exportAnchor, setExportAnchor] = useState(null);
 
   // Drawer for filters on small screens
   const [drawerOpen, setDrawerOpen] = useState(false);
 
-  // Which rows to export? Prefer selected, else use filtered
-  const rowsForExport = () => {
-    const selected = table
-      .getSelectedRowModel()
-      .flatRows.map((r) => r.original);
-    return (selected.length ? selected : filteredData).map((r) =>
-      sanitizeRowForExport(r)
+  const activeFilters = describeActiveFilters(config, filtersState, t);
+  const removeFilter = (field) =>
+    updateFilters((s) =>
+      clearDependentFilters(config.filters, { ...s, [field]: undefined }, field)
     );
+
+  // Selected rows by id. The table only knows the rows it holds, so with server
+  // pagination the ones selected on other pages are kept here: the "selected" count
+  // and export both come from this
+  const selectedRowsRef = useRef(new Map());
+  const getSelectedRows = () => {
+    const selection = table.getState().rowSelection;
+    const kept = selectedRowsRef.current;
+    for (const id of kept.keys()) if (!selection[id]) kept.delete(id);
+    table
+      .getSelectedRowModel()
+      .flatRows.forEach((r) => kept.set(r.id, r.original));
+    return [...kept.values()];
   };
+
+  // Which rows to export: the selection, the rows on screen, or every matching row
+  // (with server pagination that means fetching them all, see fetchAllRows)
+  const rowsForExport = async (scope, { signal, onProgress }) => {
+    let rows;
+    if (scope === "selected") rows = getSelectedRows();
+    else if (scope === "page")
+      rows = table.getRowModel().rows.map((r) => r.original);
+    else if (config?.server?.pagination)
+      rows = await fetchAllRows(
+        dataConfig,
+        { filtersState: appliedFilters, sortingState: sorting },
+        { signal, onProgress }
+      );
+    else rows = table.getPrePaginationRowModel().rows.map((r) => r.original);
+    return rows.map((r) => sanitizeRowForExport(r));
+  };
+  // The user's visible columns in on-screen order (pinned left, center, pinned right).
+  // Values come from the column accessor; typed columns decide what each export
+  // target gets (see columnExportValue)
   const columnsForExport = () =>
-    columns.map((c) => ({ accessorKey: c.accessorKey, header: c.header }));
+    table
+      .getVisibleLeafColumns()
+      .map((leaf) => columns.findIndex((c) => c.id === leaf.id))
+      .filter((i) => i !== -1)
+      .map((i) => {
+        const c = columns[i];
+        const col = config.columns[i];
+        return {
+          accessorKey: c.id,
+          header: c.header,
+          type: col.type,
+          exportValue: (row, target) => {
+            const v = c.accessorFn(row);
+            if (col.type) return columnExportValue(col, v, target, formatCtx);
+            return v instanceof Date ? dayjs(v).format("YYYY-MM-DD HH:mm") : v;
+          },
+          ...(col.type
+            ? {
+                excelFormat:
+                  col.excelFormat || columnTypes[col.type]?.excelFormat,
+              }
+            : {}),
+          // Row rules, overridden by this cell's rules
+          ...(config.formatRules?.length
+            ? {
+                cellStyle: (row) => {
+                  const rowFmt = formatOf(row);
+                  const cellFmt = formatOf(row, c.id);
+                  return rowFmt || cellFmt
+                    ? formatRuleExportStyle(theme, { ...rowFmt, ...cellFmt })
+                    : null;
+                },
+              }
+            : {}),
+        };
+      });
 
   const sanitizeRowForExport = (row) => {
     const copy = { ...row };
     Object.keys(copy).forEach((k) => {
       const v = copy[k];
-      if (v instanceof Date) copy[k] = dayjs(v).format("YYYY-MM-DD HH:mm");
+      // Typed date columns keep the Date (exported per target by columnExportValue)
+      const typed = (config.columns || []).some(
+        (c) => c.accessorKey === k && columnTypes[c.type]?.temporal
+      );
+      if (v instanceof Date && !typed)
+        copy[k] = dayjs(v).format("YYYY-MM-DD HH:mm");
     });
     return copy;
   };
 
+  const footerCount = config?.server?.pagination
+    ? footerRowCount(
+        rowCount,
+        pageInfo,
+        pagination.pageSize,
+        (rawData || []).length
+      )
+    : { count: filteredData.length, more: false };
+
   const content = (
     /*  <Box sx={{ p: 2 }}> */
     <Box sx={{ p: { xs: 0.5, sm: 2 } }}>
@@ -748,9 +5123,51 @@ export default function ConfigurableMRTPage({ config = defaultConfig }) {
           </Typography>
         </Stack>
         <Stack direction="row" spacing={1}>
+          {quickSearchDef && (
+            <QuickSearchBox
+              f={quickSearchDef}
+              value={filtersState[quickSearchDef.field]}
+              onChange={(value) =>
+                updateFilters((s) => ({ ...s, [quickSearchDef.field]: value }))
+              }
+              t={t}
+            />
+          )}
+          {liveCfg?.type && (
+            <Chip
+              variant="outlined"
+              color={livePaused ? "default" : "success"}
+              icon={
+                livePaused ? (
+                  <PauseCircleOutlineIcon />
+                ) : (
+                  <FiberManualRecordIcon
+                    sx={{
+                      fontSize: 12,
+                      opacity: liveStatus === "live" ? 1 : 0.4,
+                    }}
+                  />
+                )
+              }
+              label={
+                livePaused ? t("live.paused", "Paused") : t("live.live", "Live")
+              }
+              onClick={() => {
+                // Catch up on what was missed while paused
+                if (livePaused && liveCfg.type !== "poll")
+                  refetch({ quiet: true });
+                setLivePaused((p) => !p);
+              }}
+              sx={{ alignSelf: "center" }}
+            />
+          )}
           {isSm ? (
             <Button
-              startIcon={<FilterAltOutlinedIcon />}
+              startIcon={
+                <Badge badgeContent={activeFilters.length} color="primary">
+                  <FilterAltOutlinedIcon />
+                </Badge>
+              }
               variant="outlined"
               onClick={() => setDrawerOpen(true)}
             >
@@ -760,7 +5177,16 @@ export default function ConfigurableMRTPage({ config = defaultConfig }) {
             <DetachedFilters
               config={config}
               filtersState={filtersState}
-              setFiltersState={setFiltersState}
+              setFiltersState={updateFilters}
+              data={rawData}
+            />
+          )}
+
+          {config.savedViews?.enabled !== false && (
+            <SavedViewsMenu
+              savedViews={savedViews}
+              getCurrentState={getCurrentViewState}
+              applyState={applyViewState}
             />
           )}
 
@@ -776,6 +5202,23 @@ export default function ConfigurableMRTPage({ config = defaultConfig }) {
             onClose={() => setExportAnchor(null)}
             rowsForExport={rowsForExport}
             columnsForExport={columnsForExport}
+            describeFilters={() =>
+              describeActiveFilters(config, appliedFilters, t)
+            }
+            counts={{
+              selected: getSelectedRows().length,
+              page: table.getRowModel().rows.length,
+              // With server pagination: the server's total (rowCount is padded
+              // by one while more pages follow an unknown total)
+              all: config?.server?.pagination
+                ? pageInfo.totalKnown
+                  ? rowCount
+                  : undefined
+                : filteredData.length,
+              limit: config?.server?.pagination
+                ? exportRowLimit(config)
+                : undefined,
+            }}
             options={config.export}
           />
         </Stack>
@@ -807,12 +5250,23 @@ export default function ConfigurableMRTPage({ config = defaultConfig }) {
           <DetachedFilters
             config={config}
             filtersState={filtersState}
-            setFiltersState={setFiltersState}
+            setFiltersState={updateFilters}
+            data={rawData}
             inDrawer
           />
         </Box>
       </Drawer>
 
+      <ActiveFiltersBar
+        items={activeFilters}
+        onRemove={removeFilter}
+        onClearAll={() => updateFilters({})}
+      />
+
+      {error && (
+        <ErrorPanel error={error} onRetry={refetch} retrying={loading} />
+      )}
+
       {/* Table */}
       <Box
         sx={{
@@ -829,21 +5283,14 @@ export default function ConfigurableMRTPage({ config = defaultConfig }) {
 
       <Stack direction="row" alignItems="center" spacing={2} sx={{ mt: 1 }}>
         <Typography variant="body2" color="text.secondary">
-          {t("table.rowsCount", {
-            count: filteredData.length,
-            defaultValue: "{{count}} rows",
-          })}
+          {footerCount.more
+            ? t("table.rowsCountAtLeast", "{{count}}+ rows", {
+                count: footerCount.count,
+              })
+            : t("table.rowsCount", "{{count}} rows", {
+                count: footerCount.count,
+              })}
         </Typography>
-        {loading && (
-          <Typography variant="body2">
-            {t("common.loading", "Loading...")}
-          </Typography>
-        )}
-        {error && (
-          <Typography variant="body2" color="error">
-            {t("common.error", "Error")}: {error}
-          </Typography>
-        )}
       </Stack>
     </Box>
   );
@@ -871,6 +5318,15 @@ const mockDrivers = [
     status: "Active",
     location: "Addis Ababa",
     createdAt: "2025-05-01T10:00:00Z",
+    license: {
+      number: "D1234567",
+      state: "TX",
+      class: "A",
+      endorsements: ["H", "N"],
+      expiresOn: "2028-04-30",
+    },
+    medicalCard: { expiresOn: "2027-03-31" },
+    hireDate: "2021-06-01",
   },
   {
     id: 2,
@@ -878,6 +5334,15 @@ const mockDrivers = [
     status: "Inactive",
     location: "Adama",
     createdAt: "2025-03-15T12:30:00Z",
+    license: {
+      number: "F2345678",
+      state: "CA",
+      class: "B",
+      endorsements: [],
+      expiresOn: "2027-09-15",
+    },
+    medicalCard: { expiresOn: "2026-02-28" },
+    hireDate: "2022-01-17",
   },
   {
     id: 3,
@@ -885,6 +5350,15 @@ const mockDrivers = [
     status: "Active",
     location: "Bahir Dar",
     createdAt: "2025-07-21T09:15:00Z",
+    license: {
+      number: "S3456789",
+      state: "TX",
+      class: "A",
+      endorsements: ["T"],
+      expiresOn: "2029-01-31",
+    },
+    medicalCard: { expiresOn: "2027-08-15" },
+    hireDate: "2020-09-08",
   },
   {
     id: 4,
@@ -892,6 +5366,15 @@ const mockDrivers = [
     status: "Active",
     location: "Hawassa",
     createdAt: "2024-11-09T16:45:00Z",
+    license: {
+      number: "R4567890",
+      state: "OK",
+      class: "A",
+      endorsements: ["H", "N", "X"],
+      expiresOn: "2028-11-30",
+    },
+    medicalCard: { expiresOn: "2026-11-05" },
+    hireDate: "2023-03-20",
   },
   {
     id: 5,
@@ -899,6 +5382,15 @@ const mockDrivers = [
     status: "Inactive",
     location: "Dire Dawa",
     createdAt: "2023-01-10T08:00:00Z",
+    license: {
+      number: "Y5678901",
+      state: "TX",
+      class: "B",
+      endorsements: [],
+      expiresOn: "2025-12-31",
+    },
+    medicalCard: { expiresOn: "2027-05-31" },
+    hireDate: "2019-11-12",
   },
   {
     id: 6,
@@ -906,6 +5398,15 @@ const mockDrivers = [
     status: "Active",
     location: "Mekelle",
     createdAt: "2025-08-02T14:20:00Z",
+    license: {
+      number: "L6789012",
+      state: "NM",
+      class: "A",
+      endorsements: ["P"],
+      expiresOn: "2030-06-30",
+    },
+    medicalCard: { expiresOn: "2028-01-31" },
+    hireDate: "2024-02-05",
   },
   {
     id: 7,
@@ -913,6 +5414,15 @@ const mockDrivers = [
     status: "Active",
     location: "Gondar",
     createdAt: "2022-07-18T11:10:00Z",
+    license: {
+      number: "G7890123",
+      state: "TX",
+      class: "A",
+      endorsements: [],
+      expiresOn: "2028-08-31",
+    },
+    medicalCard: { expiresOn: "2027-10-31" },
+    hireDate: "2022-07-11",
   },
   {
     id: 8,
@@ -920,6 +5430,15 @@ const mockDrivers = [
     status: "Inactive",
     location: "Jimma",
     createdAt: "2021-10-05T13:55:00Z",
+    license: {
+      number: "M8901234",
+      state: "AZ",
+      class: "C",
+      endorsements: ["P", "S"],
+      expiresOn: "2027-03-31",
+    },
+    medicalCard: { expiresOn: "2027-02-28" },
+    hireDate: "2021-04-26",
   },
   {
     id: 9,
@@ -927,6 +5446,14 @@ const mockDrivers = [
     status: "Active",
     location: "Shashemene",
     createdAt: "2025-06-11T07:05:00Z",
+    license: {
+      number: "B9012345",
+      state: "TX",
+      class: "A",
+      endorsements: ["N"],
+      expiresOn: "2029-05-31",
+    },
+    hireDate: "2023-08-14",
   },
   {
     id: 10,
@@ -934,37 +5461,115 @@ const mockDrivers = [
     status: "Inactive",
     location: "Harar",
     createdAt: "2020-02-22T19:35:00Z",
+    license: {
+      number: "K0123456",
+      state: "LA",
+      class: "B",
+      endorsements: [],
+      expiresOn: "2026-12-31",
+    },
+    medicalCard: { expiresOn: "2026-12-15" },
+    hireDate: "2018-05-30",
   },
 ];
 
 export const defaultConfig = {
+  pageId: "drivers", // scopes saved views and the column layout (and their storage keys) to this page
+  // onError: (error, { source }) => reportToSentry(error, source), // saved views, layout, live updates, option lists, auth refresh
+  columnLayout: { persist: true }, // remember visibility/order/pinning/widths per page
+  // locale: 'de-DE', // number/date formatting of typed columns (default: i18n language)
+  // Date filters: timezone for presets/ranges/server params, week & fiscal year start,
+  // picker locale (default: config.locale, then the i18n language)
+  // dates: { timezone: 'America/Chicago', weekStartsOn: 1, fiscalYearStartMonth: 7, locale: 'en-gb' },
+  rowIdField: "id", // stable row identity (selection, live updates)
   titleKey: "drivers.title",
   title: "Drivers",
   dataSource: {
     // Toggle between 'mock' and 'api'
     mode: "mock",
     mockData: mockDrivers,
+    // Optional: make mock mode behave like a slow/flaky server (applies config.server.* flags)
+    // mockServer: { latency: [200, 800], failureRate: 0.1 },
+    // retry: { retries: 2, baseDelayMs: 500, maxDelayMs: 8000 }, // network/5xx errors; 0 disables
+    // cache: { ttlMs: 300000, staleMs: 0 }, // stale-while-revalidate page cache; false disables
+    // cacheKey: 'drivers-api', // optional: cache identity (default: the data source settings, functions and mock rows)
+    // live: { type: 'poll', intervalMs: 15000 }, // or { type: 'sse' | 'websocket', url: 'wss://…/drivers/events' }
     // Example API source
     // mode: 'api',
     // url: 'https://api.example.com/drivers',
     // method: 'GET',
-    // headers: { Authorization: 'Bearer <token>' },
+    // headers: { Authorization: 'Bearer <token>' }, // static headers
+    // getAuthHeaders: async ({ forceRefresh }) => ({ Authorization: `Bearer ${await auth.getToken({ forceRefresh })}` }),
+    // refreshAuth: async () => auth.refresh(), // on 401: refresh, then the request is retried once
+    // onUnauthorized: () => navigate('/login'), // still 401 after the refresh
     // transform: (payload) => payload.items, // optional transform from API response
+    // rowCountPath: 'meta.total', // or getRowCount: (payload, res) => ..., default X-Total-Count header
+    // paginationType: 'cursor', // 'page' (default: ?page=&pageSize=) | 'cursor' (?cursor=&pageSize=)
+    // nextCursorPath: 'meta.nextCursor', // or getNextCursor: (payload, res) => ...
+    // query: 'jsonapi', // 'default' | 'odata' | 'jsonapi' | 'json' (POST body) | (ctx) => ({ params, body, method })
+    // Example GraphQL source
+    // mode: 'graphql',
+    // url: 'https://api.example.com/graphql',
+    // document: `query Drivers($filters: [FilterInput!], $sort: [SortInput!], $limit: Int, $offset: Int) {
+    //   drivers(filters: $filters, sort: $sort, limit: $limit, offset: $offset) { total items { id name status location createdAt } }
+    // }`,
+    // rowsPath: 'data.drivers.items',
+    // rowCountPath: 'data.drivers.total',
+    // variables: (ctx) => ({ ... }), // optional; default { filters, sort, limit, offset | after }
+  },
+  // Query-string sync; namespace prefixes params (e.g. ?drivers.status=Active)
+  urlState: {
+    namespace: "drivers",
+    history: "push", // 'push' → back/forward walks sort/page/select changes; 'replace' → no history entries
   },
+  // Saved views: storage 'local' (default) | 'api' (+ url, headers) | custom { load, save } adapter
+  savedViews: {
+    storage: "local",
+    // storage: 'api',
+    // url: 'https://api.example.com/saved-views', // GET/PUT {url}/{pageId}
+  },
+  // Conditional formatting: cells/rows on screen, Excel fills and PDF cell styles
+  formatRules: [
+    { field: "status", op: "eq", value: "Active", chip: "success" },
+    { field: "status", op: "eq", value: "Inactive", chip: "default" },
+    // { field: 'licenseExpiry', op: 'withinNextDays', value: 30, row: true, background: 'warning.light' },
+    // { field: 'licenseExpiry', op: 'past', color: 'error.main', bold: true, icon: 'error' },
+    // { field: 'score', op: 'lt', value: 50, columns: ['score', 'name'], color: '#b71c1c' },
+  ],
+  // Custom filter types: { Component, match, toConditions, isActive?, toUrl?, fromUrl?, debounce? }
+  // filterTypes: { carrier: { ... } },
+  debounceMs: 300, // text filters wait for a typing pause (client filtering & server requests)
+  // Header quick search across all columns (or `fields`); fuzzy terms, "quoted phrases",
+  // highlighted matches; sent as `param` (default q) with server filtering
+  quickSearch: { enabled: true, fuzzy: true },
   server: {
     filtering: false, // set true to push filters to server via query params
     sorting: false,
     pagination: false,
   },
   columns: [
-    { accessorKey: "name", headerKey: "drivers.table.columns.name" },
+    // Layout defaults: hidden: true, pin: 'left' | 'right', size / minSize / maxSize, enableHiding: false
+    {
+      accessorKey: "name",
+      headerKey: "drivers.table.columns.name",
+      pin: "left",
+      enableHiding: false,
+    },
     { accessorKey: "status", headerKey: "drivers.table.columns.status" },
     { accessorKey: "location", headerKey: "drivers.table.columns.location" },
     {
       accessorKey: "createdAt",
       headerKey: "drivers.table.columns.createdAt",
-      Cell: ({ cell }) => dayjs(cell.getValue()).format("YYYY-MM-DD"),
+      // string | number | currency | percent | date | datetime | boolean | enum
+      type: "date",
+      dateFormat: "YYYY-MM-DD", // omit for the locale's Intl date format
     },
+    // Nested & computed columns (also usable as filter fields, sort ids and in exports):
+    // { accessorKey: 'vehicle.plate', headerKey: 'drivers.table.columns.plate' },
+    // { id: 'fullName', expression: '{firstName} {lastName}', header: 'Name' },
+    // { id: 'daysSinceHire', type: 'number', accessorFn: (row) => dayjs().diff(row.hireDate, 'day') },
+    // { accessorKey: 'rate', type: 'currency', currency: 'EUR', format: { maximumFractionDigits: 0 } },
+    // { accessorKey: 'status', type: 'enum', options: [{ value: 'Active', labelKey: 'drivers.status.active' }] },
   ],
   filters: [
     {
@@ -977,17 +5582,30 @@ export const defaultConfig = {
         { value: "Inactive", labelKey: "drivers.status.inactive" },
       ],
     },
+    // Async / derived / cascading select options:
+    // { type: 'select', field: 'region', deriveOptions: true },                      // from rows, with counts
+    // { type: 'select', field: 'city', dependsOn: 'region', multiple: true,
+    //   optionsSource: { url: '/api/cities', search: true, itemsPath: 'items', valuePath: 'id', labelPath: 'name' } },
     {
       type: "text",
       field: "location",
       labelKey: "drivers.filters.location",
       placeholderKey: "drivers.filters.location.placeholder",
     },
+    // More built-in types:
+    // { type: 'numberRange', field: 'yearsOfService', labelKey: '…' },            // { min, max }
+    // { type: 'boolean', field: 'hazmat', labelKey: '…' },                        // any / yes / no
+    // { type: 'exists', field: 'terminationDate', labelKey: '…' },                // any / has value / empty
+    // { type: 'search', field: 'q', fields: ['name', 'location'], operators: ['contains', 'startsWith', 'equals', 'regex'] },
     {
       type: "date",
       field: "createdAt",
       labelKey: "drivers.filters.createdAt",
-      // presets optional; if omitted defaults used
+      // withTime: true,                 // date-time range (DateTimePicker)
+      // timezone: 'UTC',                // per-filter override of config.dates.timezone
+      // presets optional; if omitted defaults used. Types: today, yesterday, thisWeek, lastWeek,
+      // thisMonth, lastMonth, lastNDays, nextNDays, quarterToDate, yearToDate, fiscalYearToDate,
+      // lastFiscalYear, lastNYears
       presets: [
         { key: "filters.date.last7Days", preset: { type: "lastNDays", n: 7 } },
         {
@@ -1007,8 +5625,22 @@ export const defaultConfig = {
   ],
   export: {
     labelKey: "exports.export",
-    types: ["csv", "excel", "pdf", "quickbooks", "fmcsa"],
+    // Menu entries in order (default: every registered exporter, built-ins first). A
+    // types list replaces that default, so it must name any added exporter too
+    // types: ["csv", "excel", "pdf", "quickbooks", "fmcsa", "carrierCsv"],
+    // Add or override exporters: { labelKey, icon, extension, fileSuffix?, run(rows, columns, ctx) }
+    // exporters: {
+    //   carrierCsv: {
+    //     labelKey: 'exports.carrierCsv', icon: TableViewOutlinedIcon, extension: 'csv', fileSuffix: '-carrier',
+    //     run: (rows, columns, { fileName }) => saveAs(new Blob([toCarrierCsv(rows)]), fileName),
+    //   },
+    // },
     fileNameBase: "drivers",
+    // "All matching rows" with server pagination: fetched page by page (pageSize rows per
+    // request); exports of more than maxRows rows are refused (narrow the filters) rather
+    // than truncated. Set dataSource.exportUrl for a dedicated unpaged endpoint
+    pageSize: 500,
+    maxRows: 50000,
     labelKeys: {
       csv: "exports.csv",
       excel: "exports.excel",
@@ -1017,20 +5649,59 @@ export const defaultConfig = {
       fmcsa: "exports.fmcsa",
     },
     styles: {
-      excel: { header: { bold: true } },
+      excel: {
+        header: { bold: true },
+        headerFill: "F0F0F0",
+        headerBorder: "thin",
+        freezeHeader: true,
+        autoFilter: true,
+        totals: true, // or { rate: 'sum', score: 'average' }
+        // splitBy: 'status',  // one sheet per status
+        summarySheet: true,
+        title: "Drivers Report",
+      },
       pdf: {
         title: "Drivers Report",
         titleFontSize: 14,
         headStyles: { fillColor: [240, 240, 240] },
         tableStyles: { fontSize: 9 },
+        // logo: { src: '/logo192.png', width: 30, height: 30 },
+        // company: { name: 'Acme Freight', lines: ['USDOT 1234567'] },
+        // footerText: 'Confidential',
+        // generatedBy: 'Dispatch',
+        pageNumbers: true,
+        // Non-Latin names/headers (e.g. Amharic) need an embedded TTF font:
+        // fonts: [{ name: 'NotoSansEthiopic', url: '/fonts/NotoSansEthiopic-Regular.ttf' }],
+        // font: 'NotoSansEthiopic',
       },
       fmcsa: {
         title: "FMCSA Driver Roster",
         titleFontSize: 16,
+        pageNumbers: true,
         headStyles: { fillColor: [230, 230, 230] },
         tableStyles: { fontSize: 9 },
       },
     },
+    // FMCSA driver qualification roster (see buildFMCSARoster)
+    fmcsa: {
+      carrier: {
+        name: "Acme Freight PLC",
+        usdot: "1234567",
+        mc: "MC-765432",
+        address: ["12 Bole Rd", "Addis Ababa"],
+      },
+      fields: {
+        cdlNumber: "license.number",
+        cdlState: "license.state",
+        cdlClass: "license.class",
+        endorsements: "license.endorsements",
+        cdlExpiry: "license.expiresOn",
+        medicalCardExpiry: "medicalCard.expiresOn",
+      },
+      warnWithinDays: 30,
+      // strict: false, // errors (missing/expired fields) block the export unless false
+      certification: { signerTitle: "Safety Manager" },
+    },
     // Map your table fields → QuickBooks fields for JSON export
     quickBooksMapping: {
       name: "DisplayName",
@@ -0,0 +1,2814 @@
+import React from "react";
+import {
+  act,
+  fireEvent,
+  render,
+  renderHook,
+  screen,
+  waitFor,
+} from "@testing-library/react";
+import { MemoryRouter, useLocation, useNavigationType } from "react-router-dom";
+import { createTheme } from "@mui/material/styles";
+import i18n from "i18next";
+import { initReactI18next } from "react-i18next";
+import ConfigurableMRTPage, {
+  EmptyRowsState,
+  applyClientFilters,
+  applyRowEvents,
+  authFetch,
+  buildExcelWorkbook,
+  buildFMCSARoster,
+  buildGraphQLVariables,
+  builtinFilterTypes,
+  colorToHex,
+  columnComparator,
+  columnExportValue,
+  compareValues,
+  compileExpression,
+  createColumnAccessor,
+  createColumnFormatter,
+  createPdfReport,
+  createFieldReader,
+  defaultConfig,
+  ExportMenu,
+  dataSourceCacheKey,
+  defaultColumnLayout,
+  describeActiveFilters,
+  filterSummaryText,
+  fetchAllRows,
+  footerRowCount,
+  getExporters,
+  formatRuleExportStyle,
+  getFilterTypes,
+  getPresetDateRange,
+  invalidateQueryCache,
+  isFilterActive,
+  isRetryableError,
+  loadColumnLayout,
+  loadPage,
+  loadPdfAsset,
+  matchQuickSearch,
+  normalizeConfig,
+  parseLiveMessage,
+  parseQuickSearch,
+  pdfCellStyles,
+  quickSearchRanges,
+  queryCache,
+  querySerializers,
+  readGraphQLRows,
+  readQueryCache,
+  readRowCount,
+  registerPdfFonts,
+  requestCacheKey,
+  ruleMatches,
+  resolveDayjsLocale,
+  resolveRowFormat,
+  resolveQuerySerializer,
+  simulateServer,
+  sortRows,
+  toServerConditions,
+  useColumnLayoutPersistence,
+  useConfigurableData,
+  useDebouncedFilters,
+  useLiveUpdates,
+  useSelectOptions,
+  withQuickSearchText,
+  withFilterSummary,
+  withRetry,
+  writeQueryCache,
+  createApiViewsAdapter,
+  createLocalStorageViewsAdapter,
+  resolveViewsAdapter,
+  useSavedViews,
+  isDebouncedOnlyChange,
+  readTableStateFromSearch,
+  useUrlTableState,
+  writeTableStateToSearch,
+} from "./ConfigurableMRTPage";
+
+// Components translate with the fallback texts (no resources loaded)
+i18n.use(initReactI18next).init({
+  lng: "en",
+  resources: {},
+  interpolation: { escapeValue: false },
+});
+
+// ------------------------- URL state -------------------------
+describe("URL state", () => {
+  const filters = [
+    { field: "status", type: "select", multiple: true },
+    {
+      field: "fleet",
+      type: "select",
+      options: [
+        { value: 1, label: "North" },
+        { value: 2, label: "South" },
+      ],
+    },
+    { field: "name", type: "text" },
+    { field: "createdAt", type: "date" },
+  ];
+
+  it("round-trips filters, sorting and pagination under a namespace", () => {
+    const state = {
+      filters: {
+        status: ["Active", "Inactive"],
+        name: "abe",
+        createdAt: { preset: { type: "lastNDays", n: 30 } },
+      },
+      sorting: [
+        { id: "name", desc: false },
+        { id: "createdAt", desc: true },
+      ],
+      pagination: { pageIndex: 2, pageSize: 25 },
+    };
+    const search = writeTableStateToSearch("other=1", filters, "d.", 10, state);
+    const params = new URLSearchParams(search);
+    expect(params.get("other")).toBe("1");
+    expect(params.getAll("d.status")).toEqual(["Active", "Inactive"]);
+    expect(params.get("d.createdAt.preset")).toBe("lastNDays:30");
+    expect(params.get("d.sort")).toBe("name,-createdAt");
+    expect(params.get("d.page")).toBe("3");
+    expect(readTableStateFromSearch(search, filters, "d.", 10)).toMatchObject(
+      state
+    );
+  });
+
+  it("leaves defaults out of the URL", () => {
+    const search = writeTableStateToSearch("", filters, "", 10, {
+      filters: { name: "  " },
+      sorting: [],
+      pagination: { pageIndex: 0, pageSize: 10 },
+    });
+    expect(search).toBe("");
+  });
+
+  it("restores numeric select values from the URL", () => {
+    const { filters: fs } = readTableStateFromSearch(
+      "?fleet=2",
+      filters,
+      "",
+      10
+    );
+    expect(fs.fleet).toBe(2);
+    expect(
+      builtinFilterTypes.select.match({ fleet: 2 }, fs.fleet, {
+        field: "fleet",
+      })
+    ).toBe(true);
+    // Unknown values still match by their string form
+    expect(
+      builtinFilterTypes.select.match({ fleet: 3 }, "3", { field: "fleet" })
+    ).toBe(true);
+  });
+
+  it("treats typed-filter-only changes as replaceable", () => {
+    const base = {
+      filters: { name: "a", status: ["Active"] },
+      sorting: [],
+      pagination: { pageIndex: 0, pageSize: 10 },
+    };
+    const typed = { ...base, filters: { ...base.filters, name: "ab" } };
+    const selected = { ...base, filters: { ...base.filters, status: [] } };
+    const sorted = { ...base, sorting: [{ id: "name", desc: true }] };
+    expect(
+      isDebouncedOnlyChange(base, typed, filters, builtinFilterTypes)
+    ).toBe(true);
+    expect(
+      isDebouncedOnlyChange(base, selected, filters, builtinFilterTypes)
+    ).toBe(false);
+    expect(
+      isDebouncedOnlyChange(base, sorted, filters, builtinFilterTypes)
+    ).toBe(false);
+  });
+
+  describe("useUrlTableState", () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    const render = (config) =>
+      renderHook(
+        () => ({
+          table: useUrlTableState(config),
+          location: useLocation(),
+          navigationType: useNavigationType(),
+        }),
+        {
+          wrapper: ({ children }) => (
+            <MemoryRouter initialEntries={["/drivers?fleet=1"]}>
+              {children}
+            </MemoryRouter>
+          ),
+        }
+      );
+
+    it("writes typed filters once, after the debounce, replacing the entry", () => {
+      const { result } = render({ filters, debounceMs: 300 });
+      expect(result.current.table.filtersState.fleet).toBe(1);
+
+      act(() =>
+        result.current.table.setFiltersState((s) => ({ ...s, name: "a" }))
+      );
+      act(() =>
+        result.current.table.setFiltersState((s) => ({ ...s, name: "ab" }))
+      );
+      expect(result.current.location.search).toBe("?fleet=1");
+
+      act(() => jest.advanceTimersByTime(300));
+      expect(result.current.location.search).toBe("?fleet=1&name=ab");
+      expect(result.current.navigationType).toBe("REPLACE");
+    });
+
+    it("pushes discrete changes such as sorting", () => {
+      const { result } = render({ filters });
+      act(() => result.current.table.setSorting([{ id: "name", desc: true }]));
+      expect(result.current.location.search).toBe("?fleet=1&sort=-name");
+      expect(result.current.navigationType).toBe("PUSH");
+    });
+  });
+});
+
+// ------------------------- Saved views -------------------------
+describe("saved views", () => {
+  const jsonResponse = (status, body) => ({
+    status,
+    ok: status >= 200 && status < 300,
+    json: async () => body,
+  });
+  afterEach(() => {
+    window.localStorage.clear();
+    delete global.fetch;
+  });
+
+  it("stores one document per page id in localStorage", async () => {
+    const adapter = createLocalStorageViewsAdapter("test.views");
+    expect(await adapter.load("drivers")).toEqual({
+      views: [],
+      defaultId: null,
+    });
+    const doc = {
+      views: [{ id: "a", name: "Mine", state: {} }],
+      defaultId: "a",
+    };
+    await adapter.save("drivers", doc);
+    expect(await adapter.load("drivers")).toEqual(doc);
+    expect(await adapter.load("other")).toEqual({ views: [], defaultId: null });
+  });
+
+  it("loads and saves through the API adapter with auth headers", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(jsonResponse(404))
+      .mockResolvedValueOnce(jsonResponse(204));
+    const adapter = createApiViewsAdapter({
+      url: "https://api.test/views/",
+      headers: { "X-App": "1" },
+      getAuth: () => ({
+        getAuthHeaders: async () => ({ Authorization: "Bearer t" }),
+      }),
+    });
+    expect(await adapter.load("a b")).toEqual({ views: [], defaultId: null });
+    await adapter.save("a b", { views: [], defaultId: null });
+    const [url, init] = global.fetch.mock.calls[1];
+    expect(url).toBe("https://api.test/views/a%20b");
+    expect(init.method).toBe("PUT");
+    expect(init.headers).toMatchObject({
+      "X-App": "1",
+      Authorization: "Bearer t",
+    });
+  });
+
+  it("rejects on server errors", async () => {
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse(500));
+    const adapter = createApiViewsAdapter({ url: "/views" });
+    await expect(adapter.load("x")).rejects.toMatchObject({ status: 500 });
+  });
+
+  it("picks custom, API or local storage from the config", async () => {
+    const custom = { load: async () => null, save: async () => {} };
+    expect(resolveViewsAdapter({ storage: custom })).toBe(custom);
+    global.fetch = jest.fn().mockResolvedValue(jsonResponse(200, {}));
+    await resolveViewsAdapter({ storage: "api", url: "/views" }).load("p");
+    expect(global.fetch).toHaveBeenCalledWith("/views/p", expect.anything());
+    // 'api' without a url falls back to localStorage
+    await resolveViewsAdapter({ storage: "api" }).load("p");
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("reports load failures through config.onError", async () => {
+    window.localStorage.setItem("mrt.savedViews.drivers", "{not json");
+    const onError = jest.fn();
+    const config = { pageId: "drivers", savedViews: {}, onError };
+    const { result } = renderHook(() => useSavedViews(config));
+    await waitFor(() => expect(result.current.loaded).toBe(true));
+    expect(result.current.views).toEqual([]);
+    expect(onError).toHaveBeenCalledWith(expect.any(SyntaxError), {
+      source: "savedViews.load",
+    });
+  });
+
+  it("saves, renames and deletes views and tracks the default", async () => {
+    const config = { pageId: "p", savedViews: {} };
+    const { result } = renderHook(() => useSavedViews(config));
+    await waitFor(() => expect(result.current.loaded).toBe(true));
+    let id;
+    act(() => {
+      id = result.current.saveView("Active", { filters: { status: "Active" } });
+    });
+    act(() => result.current.setDefaultView(id));
+    act(() => result.current.renameView(id, "Active drivers"));
+    expect(result.current.views).toEqual([
+      { id, name: "Active drivers", state: { filters: { status: "Active" } } },
+    ]);
+    expect(result.current.defaultId).toBe(id);
+    await waitFor(() =>
+      expect(
+        JSON.parse(window.localStorage.getItem("mrt.savedViews.p")).defaultId
+      ).toBe(id)
+    );
+    act(() => result.current.deleteView(id));
+    expect(result.current.views).toEqual([]);
+    expect(result.current.defaultId).toBe(null);
+  });
+
+  it("keeps every change made before a re-render", async () => {
+    const config = { pageId: "batch", savedViews: {} };
+    const { result } = renderHook(() => useSavedViews(config));
+    await waitFor(() => expect(result.current.loaded).toBe(true));
+    let first;
+    let second;
+    act(() => {
+      const views = result.current;
+      first = views.saveView("Active", { filters: { status: "Active" } });
+      views.setDefaultView(first);
+      second = views.saveView("Hazmat", { filters: { hazmat: "true" } });
+    });
+    expect(result.current.views.map((v) => v.id)).toEqual([first, second]);
+    expect(result.current.defaultId).toBe(first);
+    await waitFor(() =>
+      expect(
+        JSON.parse(window.localStorage.getItem("mrt.savedViews.batch"))
+      ).toEqual({
+        views: result.current.views,
+        defaultId: first,
+      })
+    );
+  });
+});
+
+// ------------------------- Simulated server -------------------------
+describe("simulated server", () => {
+  const rows = [
+    {
+      id: 1,
+      name: "Alemu",
+      status: "Active",
+      score: 9,
+      createdAt: "2025-05-01",
+    },
+    {
+      id: 2,
+      name: "hanna",
+      status: "Inactive",
+      score: null,
+      createdAt: "2025-03-15",
+    },
+    {
+      id: 3,
+      name: "Samuel",
+      status: "Active",
+      score: 10,
+      createdAt: "2025-07-21",
+    },
+    {
+      id: 4,
+      name: "Ruth",
+      status: "Active",
+      score: 2,
+      createdAt: "2024-11-09",
+    },
+  ];
+  const config = normalizeConfig({
+    columns: [
+      { accessorKey: "name" },
+      { accessorKey: "status" },
+      { accessorKey: "score", type: "number" },
+    ],
+    filters: [
+      { field: "status", type: "select", multiple: true },
+      { field: "name", type: "text" },
+    ],
+    server: { filtering: true, sorting: true, pagination: true },
+  });
+
+  it("compares nulls last, numbers by value and strings naturally", () => {
+    expect([3, null, 1].sort(compareValues)).toEqual([1, 3, null]);
+    expect(["item10", "Item2", "item1"].sort(compareValues)).toEqual([
+      "item1",
+      "Item2",
+      "item10",
+    ]);
+  });
+
+  it("sorts by several columns in priority order", () => {
+    const sorted = sortRows(rows, [
+      { id: "status", desc: false },
+      { id: "name", desc: true },
+    ]);
+    expect(sorted.map((r) => r.id)).toEqual([3, 4, 1, 2]);
+    expect(sortRows(rows, [])).toBe(rows);
+  });
+
+  it("applies only active filters", () => {
+    const ids = (fs) =>
+      applyClientFilters(rows, config.filters, fs).map((r) => r.id);
+    expect(ids({ status: ["Active"], name: "  " })).toEqual([1, 3, 4]);
+    expect(ids({ status: ["Active"], name: "u" })).toEqual([1, 3, 4]);
+    expect(ids({ name: "HAN" })).toEqual([2]);
+    expect(ids({})).toEqual([1, 2, 3, 4]);
+  });
+
+  it("filters, sorts and pages like the API", async () => {
+    const result = await simulateServer(
+      rows,
+      config,
+      { status: ["Active"] },
+      { pageIndex: 1, pageSize: 2 },
+      [{ id: "score", desc: true }]
+    );
+    expect(result.total).toBe(3);
+    expect(result.rows.map((r) => r.id)).toEqual([4]);
+  });
+
+  it("leaves the work to the client when the server flags are off", async () => {
+    const result = await simulateServer(
+      rows,
+      { ...config, server: {} },
+      { status: ["Active"] },
+      { pageIndex: 1, pageSize: 2 },
+      [{ id: "score", desc: true }]
+    );
+    expect(result).toEqual({ rows, total: 4 });
+  });
+
+  it("simulates failures and aborts during latency", async () => {
+    await expect(
+      simulateServer(rows, {
+        dataSource: { mockServer: { failureRate: 1 } },
+      })
+    ).rejects.toMatchObject({ status: 500 });
+
+    const controller = new AbortController();
+    const pending = simulateServer(
+      rows,
+      { dataSource: { mockServer: { latency: 10000 } } },
+      {},
+      null,
+      [],
+      controller.signal
+    );
+    controller.abort();
+    await expect(pending).rejects.toMatchObject({ name: "AbortError" });
+  });
+});
+
+// ------------------------- Server pagination & row counts -------------------------
+// fetch() response double: JSON body plus optional headers
+const apiResponse = (body, { status = 200, headers = {} } = {}) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  headers: { get: (name) => headers[name] ?? null },
+  json: async () => body,
+});
+
+describe("server pagination", () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+  const apiConfig = (ds = {}) =>
+    normalizeConfig({
+      columns: [{ accessorKey: "name" }],
+      filters: [],
+      server: { pagination: true },
+      dataSource: { mode: "api", url: "https://api.test/drivers", ...ds },
+    });
+  const request = {
+    filtersState: {},
+    sortingState: [],
+    pageIndex: 2,
+    pageSize: 2,
+  };
+
+  it("reads the total from X-Total-Count", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValue(
+        apiResponse([{ name: "a" }], { headers: { "X-Total-Count": "5" } })
+      );
+    expect(await loadPage(apiConfig(), request)).toEqual({
+      rows: [{ name: "a" }],
+      total: 5,
+      totalKnown: true,
+      nextCursor: null,
+    });
+  });
+
+  it("flags an unknown total and only promises a next page when full", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(apiResponse([{ name: "a" }, { name: "b" }]))
+      .mockResolvedValueOnce(apiResponse([{ name: "c" }]));
+    const full = await loadPage(apiConfig(), request);
+    expect(full).toMatchObject({ total: 7, totalKnown: false });
+    const last = await loadPage(apiConfig(), request);
+    expect(last).toMatchObject({ total: 5, totalKnown: false });
+  });
+
+  it("counts mock pages exactly", async () => {
+    const config = normalizeConfig({
+      columns: [{ accessorKey: "name" }],
+      server: { pagination: true },
+      dataSource: {
+        mode: "mock",
+        mockData: [1, 2, 3, 4, 5].map((id) => ({ id })),
+      },
+    });
+    expect(await loadPage(config, request)).toEqual({
+      rows: [{ id: 5 }],
+      total: 5,
+      totalKnown: true,
+      nextCursor: null,
+    });
+  });
+
+  it("shows N+ rows only while more pages follow an unknown total", () => {
+    const unknown = { pageIndex: 2, totalKnown: false };
+    expect(footerRowCount(7, unknown, 2, 2)).toEqual({ count: 6, more: true });
+    expect(footerRowCount(5, unknown, 2, 1)).toEqual({ count: 5, more: false });
+    expect(
+      footerRowCount(42, { pageIndex: 0, totalKnown: true }, 10, 10)
+    ).toEqual({ count: 42, more: false });
+  });
+});
+
+// ------------------------- Query serializers -------------------------
+describe("query serializers", () => {
+  const filters = [
+    { field: "status", type: "select", multiple: true },
+    { field: "name", type: "text" },
+    { field: "score", type: "numberRange" },
+    { field: "phone", type: "exists" },
+  ];
+  const conditions = toServerConditions(filters, {
+    status: ["Active", "On leave"],
+    name: "O'Neil",
+    score: { min: "10", max: "" },
+    phone: "nonEmpty",
+  });
+  const sorting = [
+    { id: "name", desc: false },
+    { id: "createdAt", desc: true },
+  ];
+  const pagination = { pageIndex: 2, pageSize: 25, cursor: null };
+  const ctx = { conditions, sorting, pagination, ds: {} };
+
+  it("turns active filters into dialect-neutral conditions", () => {
+    expect(conditions).toEqual([
+      { field: "status", op: "in", value: ["Active", "On leave"] },
+      { field: "name", op: "contains", value: "O'Neil" },
+      { field: "score", op: "between", value: { from: 10, to: null } },
+      { field: "phone", op: "exists", value: true },
+    ]);
+    expect(toServerConditions(filters, { name: " ", status: [] })).toEqual([]);
+  });
+
+  it("default: flat params with From/To, sortBy/sortDir and page/pageSize", () => {
+    expect(querySerializers.default(ctx).params).toEqual([
+      ["status", "Active,On leave"],
+      ["name", "O'Neil"],
+      ["scoreFrom", "10"],
+      ["phoneExists", "true"],
+      ["sortBy", "name,createdAt"],
+      ["sortDir", "asc,desc"],
+      ["page", "3"],
+      ["pageSize", "25"],
+    ]);
+  });
+
+  it("default: sends the cursor instead of a page number", () => {
+    const { params } = querySerializers.default({
+      ...ctx,
+      pagination: { pageIndex: 1, pageSize: 25, cursor: "abc" },
+      ds: { paginationType: "cursor", cursorParam: "after" },
+    });
+    expect(params.slice(-2)).toEqual([
+      ["after", "abc"],
+      ["pageSize", "25"],
+    ]);
+  });
+
+  it("odata: $filter with escaped literals, $orderby, $top/$skip/$count", () => {
+    const params = Object.fromEntries(querySerializers.odata(ctx).params);
+    expect(params).toEqual({
+      $filter:
+        "status in ('Active','On leave') and contains(tolower(name),'o''neil')" +
+        " and score ge 10 and phone ne null",
+      $orderby: "name asc,createdAt desc",
+      $top: "25",
+      $skip: "50",
+      $count: "true",
+    });
+  });
+
+  it("odata: multi-field conditions are OR-ed and quick search uses $search", () => {
+    const params = querySerializers.odata({
+      conditions: [
+        { field: "q", fields: ["name", "city"], op: "contains", value: "ab" },
+        { field: "qs", op: "search", value: "abe kebede" },
+      ],
+      sorting: [],
+      pagination: null,
+      ds: {},
+    }).params;
+    expect(params).toEqual([
+      ["$search", "abe kebede"],
+      [
+        "$filter",
+        "(contains(tolower(name),'ab') or contains(tolower(city),'ab'))",
+      ],
+    ]);
+  });
+
+  it("jsonapi: filter[field], operators in brackets, sort and page[]", () => {
+    expect(querySerializers.jsonapi(ctx).params).toEqual([
+      ["filter[status]", "Active,On leave"],
+      ["filter[name]", "O'Neil"],
+      ["filter[score][gte]", "10"],
+      ["filter[phone][exists]", "true"],
+      ["sort", "name,-createdAt"],
+      ["page[number]", "3"],
+      ["page[size]", "25"],
+    ]);
+  });
+
+  it("json: POSTs the whole query as a body", () => {
+    expect(querySerializers.json(ctx)).toEqual({
+      method: "POST",
+      params: [],
+      body: {
+        filters: conditions,
+        sort: [
+          { field: "name", direction: "asc" },
+          { field: "createdAt", direction: "desc" },
+        ],
+        page: { index: 2, size: 25 },
+      },
+    });
+  });
+
+  it("resolves named, custom and unknown serializers", () => {
+    const custom = () => ({ params: [] });
+    expect(resolveQuerySerializer({ query: "odata" })).toBe(
+      querySerializers.odata
+    );
+    expect(resolveQuerySerializer({ query: custom })).toBe(custom);
+    expect(resolveQuerySerializer({ query: "nope" })).toBe(
+      querySerializers.default
+    );
+  });
+
+  it("reads the row count from a path, header or common payload fields", () => {
+    const res = (headers = {}) => ({ headers: { get: (n) => headers[n] } });
+    expect(
+      readRowCount(
+        { rowCountPath: "meta.page.total" },
+        { meta: { page: { total: 7 } } },
+        res()
+      )
+    ).toBe(7);
+    expect(
+      readRowCount({ rowCountHeader: "X-Count" }, {}, res({ "X-Count": "12" }))
+    ).toBe(12);
+    expect(readRowCount({}, { "@odata.count": 3 }, res())).toBe(3);
+    expect(Number.isFinite(readRowCount({}, [], res()))).toBe(false);
+  });
+
+  it("sends the serialized query from loadPage", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValue(apiResponse({ data: [], total: 0 }));
+    const config = normalizeConfig({
+      columns: [{ accessorKey: "name" }],
+      filters,
+      server: { filtering: true, sorting: true, pagination: true },
+      dataSource: {
+        mode: "api",
+        url: "https://api.test/drivers",
+        query: "json",
+      },
+    });
+    await loadPage(config, {
+      filtersState: { name: "abe" },
+      sortingState: [],
+      pageIndex: 0,
+      pageSize: 10,
+    });
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe("https://api.test/drivers");
+    expect(init.method).toBe("POST");
+    expect(JSON.parse(init.body)).toMatchObject({
+      filters: [{ field: "name", op: "contains", value: "abe" }],
+      page: { index: 0, size: 10 },
+    });
+    delete global.fetch;
+  });
+});
+
+// ------------------------- GraphQL -------------------------
+describe("GraphQL data source", () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+  const conditions = [{ field: "status", op: "in", value: ["Active"] }];
+  const sorting = [{ id: "name", desc: true }];
+
+  it("builds offset or cursor variables on top of static ones", () => {
+    expect(
+      buildGraphQLVariables(
+        { staticVariables: { tenant: "t1" } },
+        { conditions, sorting, pagination: { pageIndex: 2, pageSize: 10 } }
+      )
+    ).toEqual({
+      tenant: "t1",
+      filters: conditions,
+      sort: [{ field: "name", direction: "DESC" }],
+      limit: 10,
+      offset: 20,
+    });
+    expect(
+      buildGraphQLVariables(
+        { paginationType: "cursor" },
+        {
+          conditions: [],
+          sorting: [],
+          pagination: { pageIndex: 0, pageSize: 5 },
+        }
+      )
+    ).toEqual({ limit: 5, after: null });
+    const variables = jest.fn(() => ({ custom: true }));
+    expect(buildGraphQLVariables({ variables }, { conditions })).toEqual({
+      custom: true,
+    });
+  });
+
+  it("finds rows under data by path, list, items, nodes or edges", () => {
+    const rows = [{ id: 1 }];
+    expect(
+      readGraphQLRows({ rowsPath: "data.a.b" }, { data: { a: { b: rows } } })
+    ).toBe(rows);
+    expect(readGraphQLRows({}, { data: { drivers: rows } })).toBe(rows);
+    expect(readGraphQLRows({}, { data: { drivers: { items: rows } } })).toBe(
+      rows
+    );
+    expect(readGraphQLRows({}, { data: { drivers: { nodes: rows } } })).toBe(
+      rows
+    );
+    expect(
+      readGraphQLRows({}, { data: { drivers: { edges: [{ node: rows[0] }] } } })
+    ).toEqual(rows);
+    expect(readGraphQLRows({}, { data: null })).toEqual([]);
+  });
+
+  const graphqlConfig = (ds = {}) =>
+    normalizeConfig({
+      columns: [{ accessorKey: "name" }],
+      filters: [{ field: "status", type: "select", multiple: true }],
+      server: { filtering: true, pagination: true },
+      dataSource: {
+        mode: "graphql",
+        url: "https://api.test/graphql",
+        document: "query Drivers { drivers { total items { name } } }",
+        operationName: "Drivers",
+        rowCountPath: "data.drivers.total",
+        retry: 0,
+        ...ds,
+      },
+    });
+  const request = {
+    filtersState: { status: ["Active"] },
+    sortingState: [],
+    pageIndex: 1,
+    pageSize: 2,
+  };
+
+  it("POSTs the document with variables and reads rows and total", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValue(
+        apiResponse({ data: { drivers: { total: 3, items: [{ name: "a" }] } } })
+      );
+    expect(await loadPage(graphqlConfig(), request)).toMatchObject({
+      rows: [{ name: "a" }],
+      total: 3,
+      totalKnown: true,
+    });
+    const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+    expect(body).toEqual({
+      query: "query Drivers { drivers { total items { name } } }",
+      operationName: "Drivers",
+      variables: {
+        filters: [{ field: "status", op: "in", value: ["Active"] }],
+        limit: 2,
+        offset: 2,
+      },
+    });
+  });
+
+  it("fails with the GraphQL error messages, even on HTTP 200", async () => {
+    global.fetch = jest.fn().mockResolvedValue(
+      apiResponse({
+        errors: [{ message: "Not allowed" }, { message: "Bad field" }],
+      })
+    );
+    await expect(loadPage(graphqlConfig(), request)).rejects.toThrow(
+      "Not allowed; Bad field"
+    );
+  });
+});
+
+// ------------------------- Debounce & superseded requests -------------------------
+describe("debounced filters", () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+  const config = normalizeConfig({
+    columns: [{ accessorKey: "name" }],
+    debounceMs: 300,
+    filters: [
+      { field: "name", type: "text" },
+      { field: "city", type: "text", debounceMs: 800 },
+      { field: "status", type: "select" },
+    ],
+  });
+
+  it("applies text filters after a pause and other filters at once", () => {
+    const { result, rerender } = renderHook(
+      ({ fs }) => useDebouncedFilters(fs, config),
+      { initialProps: { fs: {} } }
+    );
+    rerender({ fs: { name: "a" } });
+    act(() => jest.advanceTimersByTime(200));
+    rerender({ fs: { name: "ab" } });
+    act(() => jest.advanceTimersByTime(200));
+    expect(result.current).toEqual({});
+    act(() => jest.advanceTimersByTime(100));
+    expect(result.current).toEqual({ name: "ab" });
+
+    const selected = { name: "ab", status: "Active" };
+    rerender({ fs: selected });
+    act(() => jest.advanceTimersByTime(0));
+    expect(result.current).toBe(selected);
+  });
+
+  it("honours per-filter debounceMs", () => {
+    const { result, rerender } = renderHook(
+      ({ fs }) => useDebouncedFilters(fs, config),
+      { initialProps: { fs: {} } }
+    );
+    rerender({ fs: { city: "Adama" } });
+    act(() => jest.advanceTimersByTime(799));
+    expect(result.current).toEqual({});
+    act(() => jest.advanceTimersByTime(1));
+    expect(result.current).toEqual({ city: "Adama" });
+  });
+});
+
+describe("superseded requests", () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it("aborts the previous request and keeps only the latest rows", async () => {
+    const pending = [];
+    global.fetch = jest.fn(
+      (url, init) =>
+        new Promise((resolve) => pending.push({ url, init, resolve }))
+    );
+    const config = normalizeConfig({
+      pageId: "superseded",
+      columns: [{ accessorKey: "name" }],
+      filters: [{ field: "name", type: "text" }],
+      server: { filtering: true },
+      dataSource: { mode: "api", url: "https://api.test/superseded", retry: 0 },
+    });
+    const pagination = { pageIndex: 0, pageSize: 10 };
+    const { result, rerender } = renderHook(
+      ({ fs }) => useConfigurableData(config, fs, pagination, []),
+      { initialProps: { fs: { name: "a" } } }
+    );
+    await waitFor(() => expect(pending).toHaveLength(1));
+    rerender({ fs: { name: "ab" } });
+    await waitFor(() => expect(pending).toHaveLength(2));
+    expect(pending[0].init.signal.aborted).toBe(true);
+    expect(pending[1].init.signal.aborted).toBe(false);
+
+    // The stale response still arriving must not overwrite the latest one
+    await act(async () => {
+      pending[1].resolve(apiResponse([{ name: "ab" }]));
+      pending[0].resolve(apiResponse([{ name: "a" }]));
+    });
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current.data).toEqual([{ name: "ab" }]);
+  });
+});
+
+// ------------------------- Retry with backoff -------------------------
+describe("retry", () => {
+  const httpErr = (status) =>
+    Object.assign(new Error(`HTTP ${status}`), { status });
+
+  it("retries network errors, timeouts, rate limits and 5xx only", () => {
+    expect(isRetryableError(new TypeError("Failed to fetch"))).toBe(true);
+    [500, 503, 408, 429].forEach((s) =>
+      expect(isRetryableError(httpErr(s))).toBe(true)
+    );
+    [400, 401, 404].forEach((s) =>
+      expect(isRetryableError(httpErr(s))).toBe(false)
+    );
+    expect(isRetryableError(new DOMException("x", "AbortError"))).toBe(false);
+    expect(isRetryableError(new Error("parse"))).toBe(false);
+  });
+
+  it("retries up to the configured count, then rethrows", async () => {
+    const fn = jest.fn().mockRejectedValue(httpErr(503));
+    await expect(
+      withRetry(fn, { retries: 2, baseDelayMs: 1 })
+    ).rejects.toMatchObject({ status: 503 });
+    expect(fn.mock.calls.map(([attempt]) => attempt)).toEqual([0, 1, 2]);
+  });
+
+  it("returns the first success and skips retries for client errors", async () => {
+    const flaky = jest
+      .fn()
+      .mockRejectedValueOnce(new TypeError("offline"))
+      .mockResolvedValue("ok");
+    expect(await withRetry(flaky, { baseDelayMs: 1 })).toBe("ok");
+    expect(flaky).toHaveBeenCalledTimes(2);
+
+    const denied = jest.fn().mockRejectedValue(httpErr(403));
+    await expect(withRetry(denied, 3)).rejects.toMatchObject({ status: 403 });
+    expect(denied).toHaveBeenCalledTimes(1);
+  });
+
+  it("stops waiting when aborted", async () => {
+    const controller = new AbortController();
+    const fn = jest.fn().mockRejectedValue(httpErr(500));
+    const pending = withRetry(
+      fn,
+      { retries: 5, baseDelayMs: 60000 },
+      controller.signal
+    );
+    await new Promise((resolve) => setTimeout(resolve, 0)); // now in the backoff sleep
+    controller.abort();
+    await expect(pending).rejects.toMatchObject({ name: "AbortError" });
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("empty state", () => {
+  it("offers to clear filters only when they exclude every row", () => {
+    const onClearFilters = jest.fn();
+    const { rerender } = render(
+      <EmptyRowsState filtered onClearFilters={onClearFilters} />
+    );
+    expect(screen.getByText("No rows match your filters")).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "Clear filters" }));
+    expect(onClearFilters).toHaveBeenCalled();
+    rerender(
+      <EmptyRowsState filtered={false} onClearFilters={onClearFilters} />
+    );
+    expect(screen.getByText("No data")).toBeInTheDocument();
+    expect(screen.queryByRole("button")).toBeNull();
+  });
+});
+
+// ------------------------- Auth -------------------------
+describe("authFetch", () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+  const status = (code) => apiResponse(null, { status: code });
+
+  it("adds provider headers to every request", async () => {
+    global.fetch = jest.fn().mockResolvedValue(status(200));
+    const auth = {
+      getAuthHeaders: jest.fn(async () => ({ Authorization: "Bearer a" })),
+    };
+    await authFetch(auth, "/x", { headers: { Accept: "application/json" } });
+    expect(auth.getAuthHeaders).toHaveBeenCalledWith({ forceRefresh: false });
+    expect(global.fetch).toHaveBeenCalledWith("/x", {
+      headers: { Accept: "application/json", Authorization: "Bearer a" },
+    });
+  });
+
+  it("refreshes once on a 401 and resends with fresh headers", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(status(401))
+      .mockResolvedValueOnce(status(401))
+      .mockResolvedValue(status(200));
+    let token = "old";
+    const auth = {
+      getAuthHeaders: async () => ({ Authorization: token }),
+      refreshAuth: jest.fn(
+        () =>
+          new Promise((resolve) =>
+            setTimeout(() => resolve((token = "new")), 5)
+          )
+      ),
+      onUnauthorized: jest.fn(),
+    };
+    // Two parallel 401s share one refresh
+    const [a, b] = await Promise.all([
+      authFetch(auth, "/a"),
+      authFetch(auth, "/b"),
+    ]);
+    expect([a.status, b.status]).toEqual([200, 200]);
+    expect(auth.refreshAuth).toHaveBeenCalledTimes(1);
+    expect(
+      global.fetch.mock.calls.slice(2).map(([, init]) => init.headers)
+    ).toEqual([{ Authorization: "new" }, { Authorization: "new" }]);
+    expect(auth.onUnauthorized).not.toHaveBeenCalled();
+  });
+
+  it("calls onUnauthorized when the refresh declines", async () => {
+    global.fetch = jest.fn().mockResolvedValue(status(401));
+    const auth = { refreshAuth: async () => false, onUnauthorized: jest.fn() };
+    expect((await authFetch(auth, "/x")).status).toBe(401);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(auth.onUnauthorized).toHaveBeenCalledTimes(1);
+  });
+
+  it("fails the request with the refresh error", async () => {
+    global.fetch = jest.fn().mockResolvedValue(status(401));
+    const auth = {
+      refreshAuth: async () => {
+        throw new Error("Session expired");
+      },
+      onUnauthorized: jest.fn(),
+    };
+    await expect(authFetch(auth, "/x")).rejects.toThrow("Session expired");
+    expect(auth.onUnauthorized).toHaveBeenCalledTimes(1);
+  });
+});
+
+// ------------------------- Query cache -------------------------
+describe("query cache", () => {
+  afterEach(() => {
+    queryCache.clear();
+    delete global.fetch;
+    jest.useRealTimers();
+  });
+
+  it("serves fresh, then stale, then expired entries", () => {
+    jest.useFakeTimers().setSystemTime(0);
+    const cfg = { ttlMs: 1000, staleMs: 100 };
+    writeQueryCache("k", { rows: [1] });
+    expect(readQueryCache("k", cfg)).toEqual({
+      value: { rows: [1] },
+      fresh: true,
+    });
+    jest.setSystemTime(500);
+    expect(readQueryCache("k", cfg)).toEqual({
+      value: { rows: [1] },
+      fresh: false,
+    });
+    jest.setSystemTime(1001);
+    expect(readQueryCache("k", cfg)).toBe(null);
+    expect(queryCache.has("k")).toBe(false);
+  });
+
+  it("evicts the least recently written entry past 100", () => {
+    for (let i = 0; i <= 100; i++) writeQueryCache(`k${i}`, i);
+    expect(queryCache.size).toBe(100);
+    expect(queryCache.has("k0")).toBe(false);
+    expect(queryCache.has("k100")).toBe(true);
+  });
+
+  it("keys only what goes on the wire", () => {
+    const ds = { mode: "api", url: "/a" };
+    const request = {
+      filtersState: { a: 1 },
+      sortingState: [],
+      pageIndex: 0,
+      pageSize: 10,
+    };
+    const clientSide = { dataSource: ds, server: {} };
+    expect(requestCacheKey(clientSide, request)).toBe(
+      requestCacheKey(clientSide, {
+        ...request,
+        filtersState: { a: 2 },
+        pageIndex: 3,
+      })
+    );
+    const paged = { dataSource: ds, server: { pagination: true } };
+    expect(requestCacheKey(paged, request)).not.toBe(
+      requestCacheKey(paged, { ...request, pageIndex: 3 })
+    );
+  });
+
+  it("keeps sources apart that differ only in mock rows or functions", () => {
+    const rows = [{ id: 1 }];
+    expect(dataSourceCacheKey({ mode: "mock", mockData: rows })).toBe(
+      dataSourceCacheKey({ mode: "mock", mockData: rows })
+    );
+    expect(dataSourceCacheKey({ mode: "mock", mockData: rows })).not.toBe(
+      dataSourceCacheKey({ mode: "mock", mockData: [{ id: 1 }] })
+    );
+    const api = { mode: "api", url: "/drivers" };
+    expect(dataSourceCacheKey({ ...api, transform: (p) => p.items })).not.toBe(
+      dataSourceCacheKey({ ...api, transform: (p) => p.data })
+    );
+    expect(dataSourceCacheKey({ ...api, cacheKey: "shared" })).toBe(
+      dataSourceCacheKey({ url: "/other", cacheKey: "shared" })
+    );
+  });
+
+  it("invalidates every page of one source only", () => {
+    const a = {
+      dataSource: { mode: "api", url: "/a" },
+      server: { pagination: true },
+    };
+    const b = {
+      dataSource: { mode: "api", url: "/b" },
+      server: { pagination: true },
+    };
+    const page = (i) => ({
+      filtersState: {},
+      sortingState: [],
+      pageIndex: i,
+      pageSize: 10,
+    });
+    writeQueryCache(requestCacheKey(a, page(0)), 1);
+    writeQueryCache(requestCacheKey(a, page(1)), 2);
+    writeQueryCache(requestCacheKey(b, page(0)), 3);
+    invalidateQueryCache(a.dataSource);
+    expect(Array.from(queryCache.values()).map((e) => e.value)).toEqual([3]);
+  });
+
+  it("prefetches the next page and aborts it on unmount", async () => {
+    const calls = [];
+    global.fetch = jest.fn((url, init) => {
+      calls.push({ url, init });
+      return calls.length === 1
+        ? Promise.resolve(
+            apiResponse([{ id: 1 }], { headers: { "X-Total-Count": "30" } })
+          )
+        : new Promise(() => {}); // prefetch stays in flight
+    });
+    const config = normalizeConfig({
+      columns: [{ accessorKey: "id" }],
+      server: { pagination: true },
+      dataSource: { mode: "api", url: "https://api.test/prefetch", retry: 0 },
+    });
+    const { unmount } = renderHook(() =>
+      useConfigurableData(config, {}, { pageIndex: 0, pageSize: 10 }, [])
+    );
+    await waitFor(() => expect(calls).toHaveLength(2));
+    expect(calls[1].url).toContain("page=2");
+    expect(calls[1].init.signal.aborted).toBe(false);
+    unmount();
+    expect(calls[1].init.signal.aborted).toBe(true);
+  });
+});
+
+// ------------------------- Live updates -------------------------
+describe("live updates", () => {
+  const rows = [
+    { id: 41, name: "Alemu", status: "Active" },
+    { id: 42, name: "Hanna", status: "Active" },
+  ];
+
+  it("matches event ids to row ids as strings", () => {
+    const next = applyRowEvents({}, rows, [
+      { type: "update", id: "42", row: { id: "42", status: "Inactive" } },
+      { type: "delete", id: "41" },
+    ]);
+    expect(next).toEqual([{ id: "42", name: "Hanna", status: "Inactive" }]);
+    expect(rows).toHaveLength(2); // immutable
+  });
+
+  it("inserts new rows but ignores updates for rows that aren't loaded", () => {
+    const next = applyRowEvents({ rowIdField: "id" }, rows, [
+      { type: "insert", row: { id: 43, name: "Samuel" } },
+      { type: "update", row: { id: 99, status: "Inactive" } },
+      { type: "delete", id: 100 },
+    ]);
+    expect(next.map((r) => r.id)).toEqual([43, 41, 42]);
+  });
+
+  it("parses single events, batches and custom formats", () => {
+    expect(parseLiveMessage({}, '{"type":"delete","id":1}')).toEqual([
+      { type: "delete", id: 1 },
+    ]);
+    expect(
+      parseLiveMessage({}, [{ type: "insert", row: {} }, { nope: 1 }])
+    ).toHaveLength(1);
+    const parse = (raw) => ({ type: "update", row: { id: raw } });
+    expect(parseLiveMessage({ parse }, "7")).toEqual([
+      { type: "update", row: { id: "7" } },
+    ]);
+    expect(() => parseLiveMessage({}, "not json")).toThrow();
+  });
+
+  describe("useLiveUpdates", () => {
+    let sockets;
+    beforeEach(() => {
+      sockets = [];
+      global.WebSocket = class {
+        constructor(url) {
+          this.url = url;
+          this.close = jest.fn();
+          sockets.push(this);
+        }
+      };
+    });
+    afterEach(() => {
+      delete global.WebSocket;
+    });
+
+    it("delivers websocket events and reports bad messages via onError", async () => {
+      const onEvents = jest.fn();
+      const onError = jest.fn();
+      const liveCfg = { type: "websocket", url: "wss://test/events" };
+      const { result, unmount } = renderHook(() =>
+        useLiveUpdates(liveCfg, { paused: false, onEvents, onError })
+      );
+      await waitFor(() => expect(sockets).toHaveLength(1));
+      act(() => sockets[0].onopen());
+      expect(result.current).toBe("live");
+      act(() => sockets[0].onmessage({ data: '{"type":"delete","id":1}' }));
+      expect(onEvents).toHaveBeenCalledWith([{ type: "delete", id: 1 }]);
+      act(() => sockets[0].onmessage({ data: "{oops" }));
+      expect(onError).toHaveBeenCalledWith(expect.any(SyntaxError));
+      unmount();
+      expect(sockets[0].close).toHaveBeenCalled();
+    });
+
+    it("reports connection failures and shows the error status", async () => {
+      const onError = jest.fn();
+      const failure = new Error("no token");
+      const liveCfg = {
+        type: "websocket",
+        url: async () => {
+          throw failure;
+        },
+      };
+      const { result } = renderHook(() =>
+        useLiveUpdates(liveCfg, { paused: false, onError })
+      );
+      await waitFor(() => expect(result.current).toBe("error"));
+      expect(onError).toHaveBeenCalledWith(failure);
+    });
+  });
+
+  it("applies events in the data hook and clears highlight timers on unmount", async () => {
+    jest.useFakeTimers();
+    const config = normalizeConfig({
+      columns: [{ accessorKey: "name" }],
+      dataSource: {
+        mode: "mock",
+        mockData: rows,
+        live: { type: "websocket", highlightMs: 1000 },
+      },
+    });
+    const { result, unmount } = renderHook(() =>
+      useConfigurableData(config, {}, { pageIndex: 0, pageSize: 10 }, [])
+    );
+    await waitFor(() => expect(result.current.data).toHaveLength(2));
+    const pending = jest.getTimerCount();
+    act(() =>
+      result.current.applyLiveEvents([
+        { type: "update", id: "42", row: { status: "Inactive" } },
+      ])
+    );
+    expect(result.current.data[1]).toEqual({
+      id: 42,
+      name: "Hanna",
+      status: "Inactive",
+    });
+    expect(result.current.rowCount).toBe(2);
+    expect(result.current.changedRowIds).toEqual({ 42: true });
+    expect(jest.getTimerCount()).toBe(pending + 1);
+    unmount();
+    expect(jest.getTimerCount()).toBeLessThanOrEqual(pending);
+    jest.useRealTimers();
+  });
+});
+
+// ------------------------- Filter types -------------------------
+describe("filter types", () => {
+  const { numberRange, boolean, exists, search } = builtinFilterTypes;
+  const t = (key, fallback, opts) =>
+    fallback.replace(/{{(\w+)}}/g, (_, k) => opts?.[k] ?? "");
+
+  it("numberRange matches inclusive bounds and skips non-numeric values", () => {
+    const f = { field: "miles", type: "numberRange" };
+    const range = { min: "10", max: "20" };
+    expect(numberRange.match({ miles: 10 }, range, f)).toBe(true);
+    expect(numberRange.match({ miles: "20" }, range, f)).toBe(true);
+    expect(numberRange.match({ miles: 21 }, range, f)).toBe(false);
+    expect(numberRange.match({ miles: "n/a" }, range, f)).toBe(false);
+    expect(numberRange.match({ miles: null }, { min: "" }, f)).toBe(false);
+    expect(numberRange.toConditions(f, { min: "5", max: "" })).toEqual([
+      { field: "miles", op: "between", value: { from: 5, to: null } },
+    ]);
+    expect(numberRange.describe(f, { max: 7 }, t)).toBe("≤ 7");
+    expect(numberRange.describe(f, { min: 1, max: 7 }, t)).toBe("1 – 7");
+  });
+
+  it("numberRange round-trips through URL params", () => {
+    const params = Object.fromEntries(numberRange.toUrl({ min: "3" }));
+    expect(params).toEqual({ ".min": "3" });
+    expect(numberRange.fromUrl((k) => params[k] ?? null)).toEqual({
+      min: "3",
+      max: undefined,
+    });
+    expect(numberRange.fromUrl(() => null)).toBeUndefined();
+  });
+
+  it("boolean and exists compare the tri-state value", () => {
+    const f = { field: "hazmat" };
+    expect(boolean.match({ hazmat: "yes" }, "true", f)).toBe(true);
+    expect(boolean.match({ hazmat: false }, "true", f)).toBe(false);
+    expect(boolean.match({ hazmat: 0 }, "false", f)).toBe(true);
+    expect(boolean.toConditions(f, "false")).toEqual([
+      { field: "hazmat", op: "eq", value: false },
+    ]);
+    expect(exists.match({ hazmat: "" }, "empty", f)).toBe(true);
+    expect(exists.match({ hazmat: "x" }, "nonEmpty", f)).toBe(true);
+    expect(exists.match({}, "nonEmpty", f)).toBe(false);
+  });
+
+  it("search looks across fields with the chosen operator", () => {
+    const f = { field: "name", fields: ["name", "email"] };
+    const row = { name: "Alemu Bekele", email: "alemu@fleet.et" };
+    expect(search.match(row, { q: " fleet " }, f)).toBe(true);
+    expect(search.match(row, { q: "bek", op: "startsWith" }, f)).toBe(false);
+    expect(search.match(row, { q: "alemu", op: "startsWith" }, f)).toBe(true);
+    expect(search.toConditions(f, { q: "x ", op: "equals" })).toEqual([
+      { field: "name", fields: ["name", "email"], op: "equals", value: "x" },
+    ]);
+    expect(search.isActive({ q: "  " })).toBe(false);
+    expect(search.fromUrl((k) => ({ "": "al", ".op": null }[k]))).toEqual({
+      q: "al",
+      op: undefined,
+    });
+  });
+
+  it("lets config.filterTypes add or override types", () => {
+    const upper = { match: (row, fs, f) => row[f.field] === fs.toUpperCase() };
+    const types = getFilterTypes({ filterTypes: { upper } });
+    expect(types.upper).toBe(upper);
+    expect(types.numberRange).toBe(numberRange);
+    const rows = [{ code: "AB" }, { code: "ab" }];
+    expect(
+      applyClientFilters(
+        rows,
+        [{ field: "code", type: "upper" }],
+        { code: "ab" },
+        types
+      )
+    ).toEqual([{ code: "AB" }]);
+  });
+
+  it("uses the type's isActive, else a non-empty check", () => {
+    expect(isFilterActive(builtinFilterTypes.text, "   ")).toBe(false);
+    expect(isFilterActive(numberRange, { min: "", max: "" })).toBe(false);
+    expect(isFilterActive(numberRange, { min: "0" })).toBe(true);
+    expect(isFilterActive(boolean, undefined)).toBe(false);
+    expect(isFilterActive(undefined, ["a"])).toBe(true);
+  });
+});
+
+// ------------------------- Select options -------------------------
+describe("select options", () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  const rows = [
+    { status: "Active", region: "North" },
+    { status: "Active", region: "South" },
+    { status: "Inactive", region: "North" },
+  ];
+  const deriveConfig = (extra) =>
+    normalizeConfig({
+      columns: [{ accessorKey: "status" }, { accessorKey: "region" }],
+      filters: [
+        { field: "status", type: "select", deriveOptions: true },
+        { field: "region", type: "select" },
+      ],
+      ...extra,
+    });
+
+  it("derives distinct values with counts under the other filters", () => {
+    const config = deriveConfig();
+    const { result } = renderHook(() =>
+      useSelectOptions({
+        f: config.filters[0],
+        filtersState: { status: "Active", region: "North" },
+        data: rows,
+        config,
+      })
+    );
+    expect(result.current.options).toEqual([
+      { value: "Active", count: 1 },
+      { value: "Inactive", count: 1 },
+    ]);
+  });
+
+  it("leaves counts out when only the current page is loaded", () => {
+    const config = deriveConfig({ server: { pagination: true } });
+    const { result } = renderHook(() =>
+      useSelectOptions({
+        f: config.filters[0],
+        filtersState: {},
+        data: rows,
+        config,
+      })
+    );
+    expect(result.current.options.map((o) => o.count)).toEqual([
+      undefined,
+      undefined,
+    ]);
+  });
+
+  it("loads endpoint options with the parent value and reports failures", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(apiResponse({ data: [{ id: 7, name: "Addis" }] }))
+      .mockResolvedValueOnce(apiResponse({}, { status: 500 }));
+    const onError = jest.fn();
+    const config = normalizeConfig({ columns: [], onError });
+    const f = {
+      field: "city",
+      type: "select",
+      dependsOn: "region",
+      optionsSource: { url: "/api/cities", valuePath: "id", labelPath: "name" },
+    };
+    const { result, rerender } = renderHook(
+      ({ region }) =>
+        useSelectOptions({ f, filtersState: { region }, data: [], config }),
+      { initialProps: { region: "North" } }
+    );
+    await waitFor(() =>
+      expect(result.current.options).toEqual([
+        { value: 7, label: "Addis", count: undefined },
+      ])
+    );
+    expect(global.fetch.mock.calls[0][0]).toBe(
+      `${window.location.origin}/api/cities?region=North`
+    );
+    rerender({ region: "South" });
+    await waitFor(() => expect(onError).toHaveBeenCalled());
+    expect(onError.mock.calls[0][1]).toEqual({ source: "selectOptions" });
+    expect(result.current.loading).toBe(false);
+  });
+
+  it("stops loading when the search drops below minChars mid-request", async () => {
+    global.fetch = jest.fn(() => new Promise(() => {}));
+    const config = normalizeConfig({ columns: [] });
+    const f = {
+      field: "driver",
+      type: "select",
+      optionsSource: {
+        url: "/api/drivers",
+        search: true,
+        minChars: 2,
+        debounceMs: 0,
+      },
+    };
+    const { result } = renderHook(() =>
+      useSelectOptions({ f, filtersState: {}, data: [], config })
+    );
+    act(() => result.current.setSearch("ale"));
+    await waitFor(() => expect(result.current.loading).toBe(true));
+    act(() => result.current.setSearch("a"));
+    expect(result.current.loading).toBe(false);
+  });
+});
+
+// ------------------------- Date filters -------------------------
+describe("date filters", () => {
+  // Monday 03:00 UTC is still Sunday evening in Chicago
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date("2025-03-03T03:00:00Z"));
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const chicago = {
+    timezone: "America/Chicago",
+    weekStartsOn: 1,
+    fiscalYearStartMonth: 7,
+  };
+  const bounds = (preset, settings = chicago) => {
+    const { start, end } = getPresetDateRange(preset, settings);
+    return [start?.format(), end?.format()];
+  };
+
+  it("resolves presets from today in the configured timezone", () => {
+    expect(bounds({ type: "today" })).toEqual([
+      "2025-03-02T00:00:00-06:00",
+      "2025-03-02T23:59:59-06:00",
+    ]);
+    expect(bounds({ type: "thisWeek" })[0]).toBe("2025-02-24T00:00:00-06:00");
+    expect(bounds({ type: "lastMonth" })).toEqual([
+      "2025-02-01T00:00:00-06:00",
+      "2025-02-28T23:59:59-06:00",
+    ]);
+    expect(bounds({ type: "lastNDays", n: 7 })[0]).toBe(
+      "2025-02-24T00:00:00-06:00"
+    );
+    expect(bounds({ type: "fiscalYearToDate" })[0]).toBe(
+      "2024-07-01T00:00:00-05:00"
+    );
+    expect(bounds({ type: "lastFiscalYear" })).toEqual([
+      "2023-07-01T00:00:00-05:00",
+      "2024-06-30T23:59:59-05:00",
+    ]);
+    expect(bounds({ type: "unknown" })).toEqual([undefined, undefined]);
+  });
+
+  it("uses the timezone for week starts and row matching", () => {
+    expect(
+      bounds(
+        { type: "thisWeek" },
+        { timezone: "Asia/Tokyo", weekStartsOn: 1 }
+      )[0]
+    ).toBe("2025-03-03T00:00:00+09:00");
+    const date = getFilterTypes({ dates: chicago }).date;
+    const f = { field: "hiredAt", type: "date" };
+    const today = { preset: { type: "today" } };
+    expect(date.match({ hiredAt: "2025-03-02T20:00:00-06:00" }, today, f)).toBe(
+      true
+    );
+    expect(date.match({ hiredAt: "2025-03-03T01:00:00-06:00" }, today, f)).toBe(
+      false
+    );
+    expect(date.toConditions(f, { start: "2025-01-01" })).toEqual([
+      {
+        field: "hiredAt",
+        op: "between",
+        value: { from: "2025-01-01T00:00:00-06:00", to: null },
+      },
+    ]);
+  });
+
+  it("maps i18n languages to loaded dayjs locales", () => {
+    expect(resolveDayjsLocale("en-GB")).toBe("en-gb");
+    expect(resolveDayjsLocale("am_ET")).toBe("am");
+    expect(resolveDayjsLocale("de-AT")).toBe("de");
+    expect(resolveDayjsLocale("xx")).toBe("en");
+    expect(resolveDayjsLocale(undefined)).toBe("en");
+  });
+});
+
+// ------------------------- Active filter summary -------------------------
+describe("active filter summary", () => {
+  const t = (key, fallback, opts) =>
+    key === "filters.status"
+      ? "Estado"
+      : fallback.replace(/{{(\w+)}}/g, (_, k) => opts?.[k] ?? "");
+  const config = normalizeConfig({
+    columns: [],
+    filters: [
+      {
+        field: "status",
+        type: "select",
+        labelKey: "filters.status",
+        multiple: true,
+        options: [
+          { value: 1, label: "Active" },
+          { value: 2, label: "Inactive" },
+        ],
+      },
+      { field: "name", type: "text", label: "Name" },
+      { field: "miles", type: "numberRange", label: "Miles" },
+      { field: "hazmat", type: "boolean", label: "Hazmat" },
+      { field: "hiredAt", type: "date", label: "Hired" },
+      { field: "tags", type: "custom", label: "Tags" },
+    ],
+  });
+
+  it("describes only active filters with translated labels and values", () => {
+    const items = describeActiveFilters(
+      config,
+      {
+        status: ["1", 2],
+        name: "  ",
+        miles: { min: "100" },
+        hazmat: "false",
+        hiredAt: { preset: { type: "lastNDays", n: 30 } },
+        tags: ["a", "b"],
+      },
+      t
+    );
+    expect(items).toEqual([
+      { field: "status", label: "Estado", text: "Active, Inactive" },
+      { field: "miles", label: "Miles", text: "≥ 100" },
+      { field: "hazmat", label: "Hazmat", text: "No" },
+      { field: "hiredAt", label: "Hired", text: "Last 30 days" },
+      { field: "tags", label: "Tags", text: "a, b" },
+    ]);
+  });
+
+  it("joins items into a one-line summary", () => {
+    const items = describeActiveFilters(
+      config,
+      { name: " Alemu ", hiredAt: { start: "2025-01-01", end: "2025-03-31" } },
+      t
+    );
+    expect(filterSummaryText(items)).toBe(
+      'Name: "Alemu"; Hired: 2025-01-01 – 2025-03-31'
+    );
+    expect(filterSummaryText(describeActiveFilters(config, {}, t))).toBe("");
+  });
+});
+
+// ------------------------- Quick search -------------------------
+describe("quick search", () => {
+  const config = normalizeConfig({
+    columns: [
+      { accessorKey: "name" },
+      { accessorKey: "pay", type: "currency" },
+      { accessorKey: "active", type: "boolean" },
+    ],
+    quickSearch: { enabled: true },
+  });
+  const ctx = { locale: "en-US", t: (key, fallback) => fallback };
+  const qsFilter = (filters) => filters.find((f) => f.type === "quickSearch");
+  const row = { name: "Alemu Bekele", pay: 1200, active: true };
+
+  it("parses terms and quoted phrases", () => {
+    expect(parseQuickSearch(' Alemu  "truck driver" ')).toEqual([
+      { text: "alemu", phrase: false },
+      { text: "truck driver", phrase: true },
+    ]);
+    expect(parseQuickSearch(undefined)).toEqual([]);
+  });
+
+  it("finds exact and fuzzy ranges", () => {
+    const terms = parseQuickSearch("bek");
+    expect(quickSearchRanges("Alemu Bekele", terms, true)).toEqual([[6, 9]]);
+    expect(
+      quickSearchRanges("Alemu Bekele", parseQuickSearch("Bekle"), true)
+    ).toEqual([[6, 12]]);
+    expect(
+      quickSearchRanges("Alemu Bekele", parseQuickSearch("Bekle"), false)
+    ).toEqual([]);
+  });
+
+  it("matches every term against some column", () => {
+    const f = qsFilter(config.filters);
+    expect(f.columnFields).toEqual(["name", "pay", "active"]);
+    expect(matchQuickSearch(row, "alemu 1200", f)).toBe(true);
+    expect(matchQuickSearch(row, "alemu hanna", f)).toBe(false);
+  });
+
+  it("matches typed columns by their formatted cell text", () => {
+    const f = qsFilter(
+      withQuickSearchText(config.filters, config.columns, ctx)
+    );
+    expect(matchQuickSearch(row, "$1,200", f)).toBe(true);
+    expect(matchQuickSearch(row, "1200", { ...f, fuzzy: false })).toBe(false);
+    expect(matchQuickSearch(row, "yes", f)).toBe(true);
+    expect(matchQuickSearch(row, "alemu", f)).toBe(true);
+  });
+
+  it("is on for the demo page and off when disabled", () => {
+    expect(qsFilter(normalizeConfig(defaultConfig).filters)).toMatchObject({
+      field: "q",
+      inHeader: true,
+    });
+    expect(
+      qsFilter(
+        normalizeConfig({ ...defaultConfig, quickSearch: { enabled: false } })
+          .filters
+      )
+    ).toBeUndefined();
+  });
+
+  it("searches the same cell text in the simulated server", async () => {
+    const rows = [row, { name: "Hanna", pay: 1200.5, active: false }];
+    const filters = withQuickSearchText(config.filters, config.columns, ctx);
+    const serverConfig = {
+      ...config,
+      filters,
+      server: { filtering: true },
+      dataSource: { mode: "mock" },
+    };
+    const state = { q: "$1,200.00" };
+    const client = applyClientFilters(rows, filters, state);
+    const { rows: server } = await simulateServer(rows, serverConfig, state);
+    expect(client).toEqual([row]);
+    expect(server).toEqual(client);
+  });
+});
+
+// ------------------------- Column types -------------------------
+describe("column types", () => {
+  const ctx = {
+    locale: "en-US",
+    timezone: "America/Chicago",
+    t: (key, fallback) => (key === "common.yes" ? "Sí" : fallback),
+  };
+  const status = {
+    accessorKey: "status",
+    type: "enum",
+    options: [
+      { value: "active", label: "Active" },
+      { value: "leave", label: "On leave" },
+    ],
+  };
+
+  it("formats values by type with the locale and page timezone", () => {
+    const fmt = (c, v) => createColumnFormatter(c, ctx)(v);
+    expect(fmt({ type: "currency" }, "1200.5")).toBe("$1,200.50");
+    expect(fmt({ type: "currency", currency: "EUR" }, 3)).toBe("€3.00");
+    expect(fmt({ type: "percent" }, 0.255)).toBe("25.5%");
+    expect(fmt({ type: "number" }, "n/a")).toBe("");
+    expect(fmt({ type: "date" }, "2025-03-03T03:00:00Z")).toBe("Mar 2, 2025");
+    expect(
+      fmt({ type: "date", dateFormat: "YYYY-MM-DD" }, "2025-03-03T03:00:00Z")
+    ).toBe("2025-03-02");
+    expect(fmt({ type: "boolean" }, "true")).toBe("Sí");
+    expect(fmt({ type: "boolean" }, 0)).toBe("No");
+    expect(fmt(status, "leave")).toBe("On leave");
+    expect(fmt(status, "retired")).toBe("retired");
+    expect(fmt({}, null)).toBe("");
+  });
+
+  it("exports machine values to CSV, typed cells to Excel and text to PDF", () => {
+    const date = { type: "date" };
+    const v = "2025-03-03T03:00:00Z";
+    expect(columnExportValue(date, v, "csv", ctx)).toBe("2025-03-02");
+    expect(columnExportValue({ type: "datetime" }, v, "csv", ctx)).toBe(
+      "2025-03-02T21:00:00-06:00"
+    );
+    expect(columnExportValue(date, v, "excel", ctx)).toEqual(
+      new Date(Date.UTC(2025, 2, 2))
+    );
+    expect(columnExportValue(date, v, "pdf", ctx)).toBe("Mar 2, 2025");
+    expect(columnExportValue({ type: "currency" }, "7.5", "excel", ctx)).toBe(
+      7.5
+    );
+    expect(columnExportValue({ type: "boolean" }, "yes", "csv", ctx)).toBe(
+      "true"
+    );
+    expect(columnExportValue({ type: "boolean" }, "", "excel", ctx)).toBeNull();
+    expect(columnExportValue(status, "active", "csv", ctx)).toBe("Active");
+  });
+
+  it("sorts raw values by type, empty values last", () => {
+    const sort = (c, values) => [...values].sort(columnComparator(c));
+    expect(sort({ type: "number" }, ["10", null, "9", 2])).toEqual([
+      2,
+      "9",
+      "10",
+      null,
+    ]);
+    expect(sort({ type: "date" }, ["2025-02-01", null, "2024-12-31"])).toEqual([
+      "2024-12-31",
+      "2025-02-01",
+      null,
+    ]);
+    expect(sort(status, ["retired", "leave", null, "active"])).toEqual([
+      "active",
+      "leave",
+      "retired",
+      null,
+    ]);
+  });
+
+  it("gives untyped filters the column's filter type", () => {
+    const config = normalizeConfig({
+      columns: [
+        { accessorKey: "pay", type: "currency" },
+        { accessorKey: "startedAt", type: "datetime" },
+        status,
+      ],
+      filters: [
+        { field: "pay" },
+        { field: "startedAt" },
+        { field: "status" },
+        { field: "x" },
+      ],
+    });
+    expect(config.filters.map((f) => f.type)).toEqual([
+      "numberRange",
+      "date",
+      "select",
+      "text",
+    ]);
+    expect(config.filters[1].withTime).toBe(true);
+    expect(config.filters[2].options).toBe(status.options);
+  });
+});
+
+// ------------------------- Field accessors -------------------------
+describe("field accessors", () => {
+  const row = {
+    firstName: "Alemu",
+    lastName: "Bekele",
+    hireDate: "2020-05-01",
+    vehicle: { plate: "AA-3-12345", trailer: null },
+  };
+
+  it("compiles templates of dotted paths", () => {
+    expect(compileExpression("{firstName} {lastName}")(row)).toBe(
+      "Alemu Bekele"
+    );
+    expect(compileExpression("{vehicle.plate} / {vehicle.trailer}")(row)).toBe(
+      "AA-3-12345 / "
+    );
+    // a lone placeholder keeps the value's type
+    expect(compileExpression(" { vehicle } ")(row)).toBe(row.vehicle);
+  });
+
+  it("reads columns by accessorFn, expression or nested accessorKey", () => {
+    expect(createColumnAccessor({ accessorKey: "vehicle.plate" })(row)).toBe(
+      "AA-3-12345"
+    );
+    expect(
+      createColumnAccessor({
+        id: "name",
+        expression: "{lastName}, {firstName}",
+      })(row)
+    ).toBe("Bekele, Alemu");
+    const accessorFn = (r) => r.hireDate.slice(0, 4);
+    expect(
+      createColumnAccessor({ id: "year", accessorFn, expression: "x" })
+    ).toBe(accessorFn);
+    expect(
+      createColumnAccessor({ accessorKey: "missing.path" })(row)
+    ).toBeUndefined();
+  });
+
+  it("reads fields by column id, falling back to dotted paths", () => {
+    const read = createFieldReader([
+      { id: "name", expression: "{firstName} {lastName}" },
+      { accessorKey: "vehicle.plate" },
+    ]);
+    expect(read(row, "name")).toBe("Alemu Bekele");
+    expect(read(row, "vehicle.plate")).toBe("AA-3-12345");
+    expect(read(row, "hireDate")).toBe("2020-05-01");
+  });
+
+  it("lets filters read computed columns", () => {
+    const config = normalizeConfig({
+      columns: [{ id: "name", expression: "{firstName} {lastName}" }],
+      filters: [{ field: "name", type: "text" }],
+    });
+    const rows = [row, { firstName: "Hanna", lastName: "Tesfaye" }];
+    expect(
+      applyClientFilters(rows, config.filters, { name: "alemu b" })
+    ).toEqual([row]);
+  });
+});
+
+// ------------------------- Conditional formatting -------------------------
+describe("conditional formatting", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date("2025-03-03T12:00:00Z"));
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const matches = (op, value, v) => ruleMatches({ op, value }, v, {});
+
+  it("compares numbers, numeric strings and dates by value", () => {
+    expect(matches("gt", 9, "10")).toBe(true);
+    expect(matches("lt", "2025-01-10", "2025-01-09")).toBe(true);
+    expect(matches("between", [50, 100], 75)).toBe(true);
+    expect(matches("gte", 0, null)).toBe(false);
+    expect(matches("in", ["A", "B"], "B")).toBe(true);
+    expect(matches("notIn", ["A", "B"], "C")).toBe(true);
+    expect(matches("contains", "exp", "Expired")).toBe(true);
+    expect(matches("empty", undefined, "")).toBe(true);
+    expect(matches(undefined, "x", "x")).toBe(true);
+    expect(matches("nope", 1, 1)).toBe(false);
+  });
+
+  it("evaluates relative date rules against today", () => {
+    expect(matches("withinNextDays", 30, "2025-03-20")).toBe(true);
+    expect(matches("withinNextDays", 30, "2025-04-10")).toBe(false);
+    expect(matches("withinLastDays", 7, "2025-02-28")).toBe(true);
+    expect(matches("past", undefined, "2025-03-01")).toBe(true);
+    expect(matches("future", undefined, "not a date")).toBe(false);
+  });
+
+  it("merges matching rules for a cell or the row, later rules winning", () => {
+    const rules = [
+      { field: "score", op: "lt", value: 50, color: "error.main", bold: true },
+      {
+        field: "score",
+        op: "lt",
+        value: 20,
+        color: "#b71c1c",
+        columns: ["score", "name"],
+      },
+      {
+        field: "status",
+        op: "eq",
+        value: "Inactive",
+        row: true,
+        background: "#eee",
+      },
+    ];
+    const read = (row, field) => row[field];
+    const row = { score: 10, status: "Inactive" };
+    expect(resolveRowFormat(rules, row, read, {}, "score")).toEqual({
+      color: "#b71c1c",
+      bold: true,
+    });
+    expect(resolveRowFormat(rules, row, read, {}, "name")).toEqual({
+      color: "#b71c1c",
+    });
+    expect(resolveRowFormat(rules, row, read, {}, null)).toEqual({
+      background: "#eee",
+    });
+    expect(
+      resolveRowFormat(rules, { score: 80 }, read, {}, "score")
+    ).toBeNull();
+  });
+
+  it("converts formats to hex export styles", () => {
+    expect(colorToHex("#abc")).toBe("aabbcc");
+    expect(colorToHex("rgb(255, 0, 16)")).toBe("ff0010");
+    expect(colorToHex("red")).toBeNull();
+    const theme = createTheme();
+    expect(
+      formatRuleExportStyle(theme, {
+        color: "error.main",
+        background: "#fff",
+        bold: true,
+      })
+    ).toEqual({ color: "d32f2f", background: "ffffff", bold: true });
+    // chips become a tint of the palette color blended onto white
+    expect(formatRuleExportStyle(theme, { chip: "success" })).toEqual({
+      background: "d5e5d6",
+      color: "1b5e20",
+      bold: false,
+    });
+    expect(formatRuleExportStyle(theme, null)).toBeNull();
+  });
+});
+
+// ------------------------- Column layout -------------------------
+describe("column layout", () => {
+  afterEach(() => {
+    window.localStorage.clear();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  const columns = [
+    { accessorKey: "name", pin: "left" },
+    { accessorKey: "email", hidden: true },
+    { accessorKey: "status", pin: "right" },
+  ];
+
+  it("builds defaults from column options", () => {
+    expect(defaultColumnLayout({ columns })).toEqual({
+      visibility: { email: false },
+      pinning: { left: ["mrt-row-select", "name"], right: ["status"] },
+      sizing: {},
+    });
+    expect(defaultColumnLayout({ columns: [] }).pinning.left).toEqual([]);
+  });
+
+  it("restores the saved layout over the defaults, per page id", () => {
+    window.localStorage.setItem(
+      "mrt.columnLayout.drivers",
+      JSON.stringify({ visibility: { email: true }, order: ["status", "name"] })
+    );
+    const layout = loadColumnLayout({ pageId: "drivers", columns });
+    expect(layout.visibility).toEqual({ email: true });
+    expect(layout.order).toEqual(["status", "name"]);
+    expect(layout.pinning.right).toEqual(["status"]);
+    expect(
+      loadColumnLayout({
+        pageId: "drivers",
+        columns,
+        columnLayout: { persist: false },
+      }).order
+    ).toBeUndefined();
+  });
+
+  it("reports unreadable layouts and falls back to the defaults", () => {
+    window.localStorage.setItem("mrt.columnLayout.default", "{broken");
+    const onError = jest.fn();
+    expect(loadColumnLayout({ columns, onError })).toEqual(
+      defaultColumnLayout({ columns })
+    );
+    expect(onError).toHaveBeenCalledWith(expect.any(SyntaxError), {
+      source: "columnLayout.load",
+    });
+  });
+
+  it("saves layout changes once they settle and reports write failures", () => {
+    jest.useFakeTimers();
+    const state = {
+      columnVisibility: {},
+      columnOrder: ["name"],
+      columnPinning: {},
+      columnSizing: { name: 120 },
+    };
+    const table = { getState: () => state };
+    const onError = jest.fn();
+    const config = { pageId: "drivers", onError };
+    const { rerender } = renderHook(() =>
+      useColumnLayoutPersistence(config, table)
+    );
+    act(() => jest.advanceTimersByTime(300));
+    expect(
+      JSON.parse(window.localStorage.getItem("mrt.columnLayout.drivers"))
+    ).toEqual({
+      visibility: {},
+      order: ["name"],
+      pinning: {},
+      sizing: { name: 120 },
+    });
+
+    const failure = new Error("QuotaExceededError");
+    jest.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+      throw failure;
+    });
+    state.columnSizing = { name: 200 };
+    rerender();
+    act(() => jest.advanceTimersByTime(300));
+    expect(onError).toHaveBeenCalledWith(failure, {
+      source: "columnLayout.save",
+    });
+  });
+});
+
+// ------------------------- Exporter registry -------------------------
+describe("exporter registry", () => {
+  it("merges config exporters over the built-ins", () => {
+    const xml = { label: "XML", extension: "xml", run: jest.fn() };
+    const csv = { label: "My CSV", extension: "csv", run: jest.fn() };
+    const exporters = getExporters({ exporters: { xml, csv } });
+    expect(exporters.xml).toBe(xml);
+    expect(exporters.csv).toBe(csv);
+    expect(Object.keys(getExporters())).toEqual([
+      "csv",
+      "excel",
+      "pdf",
+      "quickbooks",
+      "fmcsa",
+    ]);
+  });
+
+  it("adds the filter summary to report styles unless opted out", () => {
+    expect(withFilterSummary({ title: "T" }, "Filters: x")).toEqual({
+      title: "T",
+      filterSummary: "Filters: x",
+    });
+    const off = { filterSummary: false };
+    expect(withFilterSummary(off, "Filters: x")).toBe(off);
+    expect(withFilterSummary(undefined, undefined)).toEqual({});
+  });
+
+  const renderMenu = (exporters, extra = {}) => {
+    const rows = [{ name: "Alemu" }];
+    const columns = [{ accessorKey: "name" }];
+    const rowsForExport = jest.fn(async () => rows);
+    render(
+      <ExportMenu
+        anchorEl={document.body}
+        onClose={jest.fn()}
+        options={{
+          fileNameBase: "drivers",
+          types: Object.keys(exporters),
+          exporters,
+        }}
+        rowsForExport={rowsForExport}
+        columnsForExport={() => columns}
+        describeFilters={() => [
+          { field: "status", label: "Status", text: "Active" },
+        ]}
+        counts={{ selected: 0, page: 1, all: 1 }}
+        {...extra}
+      />
+    );
+    return { rows, columns, rowsForExport };
+  };
+
+  it("runs a custom exporter with the rows and export context", async () => {
+    const run = jest.fn();
+    const { rows, columns, rowsForExport } = renderMenu({
+      xml: { label: "XML", extension: "xml", fileSuffix: "-x", run },
+    });
+    fireEvent.click(screen.getByRole("menuitem", { name: "XML" }));
+    await waitFor(() => expect(run).toHaveBeenCalled());
+    expect(rowsForExport).toHaveBeenCalledWith("all", expect.any(Object));
+    expect(run).toHaveBeenCalledWith(
+      rows,
+      columns,
+      expect.objectContaining({
+        fileName: "drivers-x.xml",
+        fileNameBase: "drivers",
+        filters: [{ field: "status", label: "Status", text: "Active" }],
+        filterSummary: "Filters: Status: Active",
+      })
+    );
+  });
+
+  it("lists added exporters with the demo export config", () => {
+    render(
+      <ExportMenu
+        anchorEl={document.body}
+        onClose={jest.fn()}
+        options={{
+          ...defaultConfig.export,
+          exporters: {
+            xml: { label: "XML", extension: "xml", run: jest.fn() },
+          },
+        }}
+        rowsForExport={jest.fn(async () => [])}
+        columnsForExport={() => []}
+        counts={{ selected: 0, page: 1, all: 1 }}
+      />
+    );
+    expect(
+      screen.getAllByRole("menuitem").map((item) => item.textContent)
+    ).toEqual(["CSV", "Excel", "PDF", "QuickBooks", "FMCSA", "XML"]);
+  });
+
+  it("lists validation problems and blocks on blocking ones", async () => {
+    const run = jest.fn();
+    renderMenu({
+      ok: {
+        label: "Checked",
+        extension: "txt",
+        validate: () => [{ severity: "warning", message: "Missing phone" }],
+        run,
+      },
+      strict: {
+        label: "Strict",
+        extension: "txt",
+        validate: () => [
+          { severity: "error", message: "Expired", blocking: true },
+        ],
+        run,
+      },
+    });
+    fireEvent.click(screen.getByRole("menuitem", { name: "Strict" }));
+    expect(await screen.findByText("Expired")).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: "Export anyway" })).toBeNull();
+    fireEvent.click(screen.getByRole("button", { name: "Cancel" }));
+
+    fireEvent.click(await screen.findByRole("menuitem", { name: "Checked" }));
+    expect(await screen.findByText("Missing phone")).toBeInTheDocument();
+    expect(run).not.toHaveBeenCalled();
+    fireEvent.click(screen.getByRole("button", { name: "Export anyway" }));
+    await waitFor(() => expect(run).toHaveBeenCalledTimes(1));
+  });
+});
+
+// ------------------------- Export all matching rows -------------------------
+describe("fetchAllRows", () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+  const request = { filtersState: {}, sortingState: [] };
+  const mockConfig = (exportCfg) =>
+    normalizeConfig({
+      columns: [{ accessorKey: "id" }],
+      server: { pagination: true },
+      dataSource: {
+        mode: "mock",
+        mockData: [1, 2, 3, 4, 5].map((id) => ({ id })),
+      },
+      export: { pageSize: 2, ...exportCfg },
+    });
+  const apiConfig = (ds, exportCfg) =>
+    normalizeConfig({
+      columns: [{ accessorKey: "id" }],
+      server: { pagination: true },
+      dataSource: { mode: "api", url: "https://api.test/drivers", ...ds },
+      export: { pageSize: 2, ...exportCfg },
+    });
+  const page = (...ids) => apiResponse(ids.map((id) => ({ id })));
+
+  it("fetches every page and reports progress", async () => {
+    const onProgress = jest.fn();
+    const rows = await fetchAllRows(mockConfig(), request, { onProgress });
+    expect(rows.map((r) => r.id)).toEqual([1, 2, 3, 4, 5]);
+    expect(onProgress.mock.calls.map(([p]) => p)).toEqual([
+      { loaded: 2, total: 5 },
+      { loaded: 4, total: 5 },
+      { loaded: 5, total: 5 },
+    ]);
+  });
+
+  it("refuses up front when the known total is over maxRows", async () => {
+    const onProgress = jest.fn();
+    await expect(
+      fetchAllRows(mockConfig({ maxRows: 4 }), request, { onProgress })
+    ).rejects.toMatchObject({ code: "EXPORT_LIMIT", maxRows: 4, total: 5 });
+    expect(onProgress).not.toHaveBeenCalled();
+  });
+
+  it("stops once an unknown total passes maxRows", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(page(1, 2))
+      .mockResolvedValueOnce(page(3, 4))
+      .mockResolvedValueOnce(page(5));
+    await expect(
+      fetchAllRows(apiConfig({}, { maxRows: 3 }), request)
+    ).rejects.toMatchObject({
+      code: "EXPORT_LIMIT",
+      maxRows: 3,
+      total: undefined,
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("exports exactly maxRows rows when the next page is empty", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(page(1, 2))
+      .mockResolvedValueOnce(page(3, 4))
+      .mockResolvedValueOnce(page());
+    const rows = await fetchAllRows(apiConfig({}, { maxRows: 4 }), request);
+    expect(rows).toHaveLength(4);
+  });
+
+  it("uses dataSource.exportUrl in one unpaged request", async () => {
+    global.fetch = jest.fn().mockResolvedValue(page(1, 2, 3, 4, 5));
+    const rows = await fetchAllRows(
+      apiConfig(
+        { exportUrl: "https://api.test/drivers/export" },
+        { maxRows: 5 }
+      ),
+      request
+    );
+    expect(rows).toHaveLength(5);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch.mock.calls[0][0]).toMatch(
+      /^https:\/\/api\.test\/drivers\/export/
+    );
+  });
+
+  it("refuses an exportUrl response over maxRows", async () => {
+    global.fetch = jest.fn().mockResolvedValue(page(1, 2, 3, 4, 5));
+    const onProgress = jest.fn();
+    await expect(
+      fetchAllRows(
+        apiConfig(
+          { exportUrl: "https://api.test/drivers/export" },
+          { maxRows: 3 }
+        ),
+        request,
+        { onProgress }
+      )
+    ).rejects.toMatchObject({ code: "EXPORT_LIMIT", maxRows: 3, total: 5 });
+    expect(onProgress).not.toHaveBeenCalled();
+  });
+
+  const renderMenu = (counts, rowsForExport = jest.fn(async () => [])) =>
+    render(
+      <ExportMenu
+        anchorEl={document.body}
+        onClose={jest.fn()}
+        options={{ types: ["csv"] }}
+        rowsForExport={rowsForExport}
+        columnsForExport={() => []}
+        counts={{ selected: 0, page: 10, ...counts }}
+      />
+    );
+
+  it("labels the all-matching scope with the export limit", () => {
+    renderMenu({ all: 60000, limit: 50000 });
+    const all = screen.getByRole("button", {
+      name: "All matching (60000, export limit 50000)",
+    });
+    expect(all).toBeDisabled();
+    expect(
+      screen.getByRole("button", { name: "Current page (10)" })
+    ).toHaveAttribute("aria-pressed", "true");
+  });
+
+  it("doesn't show a count when the total is unknown", () => {
+    renderMenu({ all: undefined, limit: 50000 });
+    expect(
+      screen.getByRole("button", { name: "All matching (up to 50000)" })
+    ).toBeEnabled();
+  });
+
+  it("explains a refused export in the progress dialog", async () => {
+    const err = Object.assign(new Error("Export limited to 3 rows"), {
+      code: "EXPORT_LIMIT",
+      maxRows: 3,
+      total: 5,
+    });
+    renderMenu({ all: 2, limit: 3 }, jest.fn().mockRejectedValue(err));
+    fireEvent.click(screen.getByRole("menuitem", { name: "CSV" }));
+    expect(
+      await screen.findByText(
+        "5 rows match, but exports are limited to 3. Narrow the filters and try again."
+      )
+    ).toBeInTheDocument();
+  });
+});
+
+// ------------------------- Excel export -------------------------
+describe("Excel workbook", () => {
+  const columns = [
+    { accessorKey: "name", header: "Name" },
+    { accessorKey: "status", header: "Status" },
+    {
+      accessorKey: "pay",
+      header: "Pay",
+      type: "currency",
+      excelFormat: "#,##0.00",
+      exportValue: (row, target) =>
+        target === "excel" ? row.pay : `$${row.pay}`,
+      cellStyle: (row) =>
+        row.pay > 1000 ? { background: "ffeeee", bold: true } : null,
+    },
+  ];
+  const rows = [
+    { name: "Alemu", status: "Active", pay: 1200 },
+    { name: "Hanna", status: "Inactive", pay: 800 },
+    { name: "Samuel", status: "", pay: 950 },
+  ];
+  const amharic = {
+    "exports.excel.summarySheet": "ማጠቃለያ",
+    "exports.excel.report": "ሪፖርት",
+    "exports.excel.generated": "የተዘጋጀበት",
+    "exports.excel.rows": "ረድፎች",
+    "exports.excel.rowsIn": "ረድፎች: {{name}}",
+    "exports.excel.filters": "ማጣሪያዎች",
+    "exports.excel.noFilters": "(የለም)",
+    "exports.excel.total": "ድምር",
+    "exports.excel.dataSheet": "መረጃ",
+    "exports.excel.blank": "(ባዶ)",
+  };
+  const t = (key, fallback, opts = {}) =>
+    (amharic[key] ?? fallback).replace(/{{(\w+)}}/g, (_, k) => opts[k] ?? "");
+  // non-empty rows as arrays (exceljs row values are 1-based)
+  const values = (ws) =>
+    ws
+      .getSheetValues()
+      .filter(Boolean)
+      .map((r) => r.slice(1))
+      .filter((r) => r.length);
+
+  it("writes typed cells, a frozen filtered header, styles and totals", () => {
+    const wb = buildExcelWorkbook(rows, columns, {
+      totals: true,
+      summarySheet: false,
+    });
+    const ws = wb.getWorksheet("Data");
+    expect(values(ws)[0]).toEqual(["Name", "Status", "Pay"]);
+    expect(ws.getCell("C2").value).toBe(1200);
+    expect(ws.getCell("C2").fill.fgColor.argb).toBe("FFFFEEEE");
+    expect(ws.getCell("C2").font.bold).toBe(true);
+    expect(ws.getCell("A5").value).toBe("Total");
+    expect(ws.getCell("C5").value).toEqual({ formula: "SUBTOTAL(109,C2:C4)" });
+    expect(ws.getColumn(3).numFmt).toBe("#,##0.00");
+    expect(ws.views[0]).toMatchObject({ state: "frozen", ySplit: 1 });
+    expect(ws.autoFilter).toEqual({
+      from: { row: 1, column: 1 },
+      to: { row: 4, column: 3 },
+    });
+  });
+
+  it("translates the summary sheet and totals labels", () => {
+    const wb = buildExcelWorkbook(rows, columns, { totals: true }, t);
+    expect(wb.worksheets.map((ws) => ws.name)).toEqual(["መረጃ", "ማጠቃለያ"]);
+    expect(wb.getWorksheet("መረጃ").getCell("A5").value).toBe("ድምር");
+    const summary = values(wb.getWorksheet("ማጠቃለያ"));
+    expect(summary[0]).toEqual(["ሪፖርት"]);
+    expect(summary[1][0]).toBe("የተዘጋጀበት");
+    expect(summary[1][1]).toBeInstanceOf(Date);
+    expect(summary.slice(2)).toEqual([["ረድፎች", 3], ["ማጣሪያዎች"], ["(የለም)"]]);
+  });
+
+  it("splits rows into sheets by a column and lists filters", () => {
+    const wb = buildExcelWorkbook(
+      rows,
+      columns,
+      {
+        splitBy: "status",
+        title: "Drivers",
+        filters: [{ label: "Pay", text: "≥ 800" }],
+      },
+      t
+    );
+    expect(wb.worksheets.map((ws) => ws.name)).toEqual([
+      "Active",
+      "Inactive",
+      "(ባዶ)",
+      "ማጠቃለያ",
+    ]);
+    const summary = values(wb.getWorksheet("ማጠቃለያ"));
+    expect(summary[0]).toEqual(["Drivers"]);
+    expect(summary.slice(2)).toEqual([
+      ["ረድፎች: Active", 1],
+      ["ረድፎች: Inactive", 1],
+      ["ረድፎች: (ባዶ)", 1],
+      ["ማጣሪያዎች"],
+      ["Pay", "≥ 800"],
+    ]);
+  });
+});
+
+// ------------------------- PDF reports -------------------------
+describe("PDF reports", () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+  const fileResponse = (bytes, type) => ({
+    ok: true,
+    status: 200,
+    headers: { get: () => type },
+    arrayBuffer: async () => new Uint8Array(bytes).buffer,
+  });
+
+  it("passes data URLs through and fetches other assets once", async () => {
+    expect(await loadPdfAsset("data:image/png;base64,AAEC")).toEqual({
+      mime: "image/png",
+      base64: "AAEC",
+    });
+    global.fetch = jest
+      .fn()
+      .mockResolvedValue(fileResponse([0, 1, 2], "image/png"));
+    const first = await loadPdfAsset("/logo-once.png");
+    expect(first).toEqual({ mime: "image/png", base64: "AAEC" });
+    expect(await loadPdfAsset("/logo-once.png")).toBe(first);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("doesn't cache failed downloads", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce({ ok: false, status: 404 })
+      .mockResolvedValueOnce(fileResponse([1], "font/ttf"));
+    await expect(loadPdfAsset("/fonts/retry.ttf")).rejects.toThrow(
+      "Failed to load /fonts/retry.ttf (404)"
+    );
+    expect(await loadPdfAsset("/fonts/retry.ttf")).toMatchObject({
+      mime: "font/ttf",
+    });
+  });
+
+  it("registers fonts and reuses the file for a missing bold face", async () => {
+    const registered = {};
+    const doc = {
+      addFileToVFS: jest.fn(),
+      addFont: jest.fn((file, name, style) => {
+        registered[name] = [...(registered[name] || []), style];
+      }),
+      getFontList: () => registered,
+    };
+    await registerPdfFonts(doc, [
+      { name: "Noto", url: "data:font/ttf;base64,AAAA" },
+    ]);
+    expect(doc.addFileToVFS).toHaveBeenCalledWith("Noto-normal.ttf", "AAAA");
+    expect(doc.addFont.mock.calls).toEqual([
+      ["Noto-normal.ttf", "Noto", "normal"],
+      ["Noto-normal.ttf", "Noto", "bold"],
+    ]);
+  });
+
+  it("paints the header and translated footer on every page", async () => {
+    const t = (key, fallback, opts) =>
+      (key === "exports.pageOf" ? "ገጽ {{page}} / {{pages}}" : fallback).replace(
+        /{{(\w+)}}/g,
+        (_, k) => opts[k]
+      );
+    const report = await createPdfReport(
+      {
+        title: "Drivers",
+        company: { name: "Acme Freight", lines: ["USDOT 1234567"] },
+        generatedBy: "Dispatch",
+        footerText: "Confidential",
+      },
+      { orientation: "landscape", title: "Report", titleFontSize: 14 },
+      t
+    );
+    const { doc } = report;
+    expect(report.top).toBeGreaterThan(40);
+    doc.addPage();
+    const text = jest.spyOn(doc, "text");
+    report.finish();
+    const lines = text.mock.calls.map(([s]) => s);
+    expect(lines.filter((s) => s === "Drivers")).toHaveLength(2);
+    expect(lines.filter((s) => s === "Acme Freight")).toHaveLength(2);
+    expect(lines).toContain("ገጽ 1 / 2");
+    expect(lines).toContain("ገጽ 2 / 2");
+    expect(lines.find((s) => s.startsWith("Confidential"))).toMatch(
+      /^Confidential {2}· {2}Generated by Dispatch on \d{4}-\d{2}-\d{2} \d{2}:\d{2}$/
+    );
+  });
+
+  it("styles body cells from conditional formatting", () => {
+    const hook = pdfCellStyles(
+      [{ pay: 1200 }],
+      [
+        {
+          cellStyle: (row) =>
+            row.pay > 1000 ? { background: "ffeeee", bold: true } : null,
+        },
+      ]
+    );
+    const cell = (section) => ({
+      section,
+      row: { index: 0 },
+      column: { index: 0 },
+      cell: { styles: {} },
+    });
+    const body = cell("body");
+    hook(body);
+    expect(body.cell.styles).toEqual({
+      fillColor: [255, 238, 238],
+      fontStyle: "bold",
+    });
+    const head = cell("head");
+    hook(head);
+    expect(head.cell.styles).toEqual({});
+  });
+});
+
+// ------------------------- FMCSA roster -------------------------
+describe("FMCSA roster", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2025, 2, 3, 12));
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const cfg = {
+    carrier: { name: "Acme Freight PLC", usdot: "1234567" },
+    fields: { cdlNumber: "license.number", cdlExpiry: "license.expiresOn" },
+  };
+  const driver = (extra) => ({
+    name: "Alemu Bekele",
+    license: { number: "D123", expiresOn: "2027-01-31" },
+    cdlState: "TX",
+    cdlClass: "A",
+    endorsements: ["H", "N"],
+    medicalCardExpiry: "2026-06-30",
+    hireDate: "2019-04-01T09:00:00",
+    ...extra,
+  });
+
+  it("maps row fields to roster values", () => {
+    const { fields, drivers, problems } = buildFMCSARoster([driver()], cfg);
+    expect(fields.map((f) => f.key)).toEqual([
+      "name",
+      "cdlNumber",
+      "cdlState",
+      "cdlClass",
+      "endorsements",
+      "cdlExpiry",
+      "medicalCardExpiry",
+      "hireDate",
+    ]);
+    expect(drivers[0]).toEqual({
+      values: {
+        name: "Alemu Bekele",
+        cdlNumber: "D123",
+        cdlState: "TX",
+        cdlClass: "A",
+        endorsements: "H, N",
+        cdlExpiry: "2027-01-31",
+        medicalCardExpiry: "2026-06-30",
+        hireDate: "2019-04-01",
+      },
+      issues: {},
+    });
+    expect(problems).toEqual([]);
+  });
+
+  it("blocks on missing, invalid and expired fields by default", () => {
+    const { drivers, problems } = buildFMCSARoster(
+      [
+        driver({ cdlState: "", medicalCardExpiry: "2025-03-01" }),
+        driver({ name: "", hireDate: "soon" }),
+      ],
+      { ...cfg, carrier: { name: "Acme Freight PLC" } }
+    );
+    expect(drivers[0].issues).toEqual({
+      cdlState: "missing",
+      medicalCardExpiry: "expired",
+    });
+    expect(drivers[1].issues).toEqual({ name: "missing", hireDate: "missing" });
+    expect(problems.map((p) => p.message)).toEqual([
+      "Carrier USDOT number is not configured",
+      "Alemu Bekele: State is missing",
+      "Alemu Bekele: Medical card expiry 2025-03-01 has passed",
+      "Row 2: Driver is missing",
+      "Row 2: Hire date is not a valid date",
+    ]);
+    expect(problems.every((p) => p.severity === "error" && p.blocking)).toBe(
+      true
+    );
+  });
+
+  it("warns about fields expiring soon without blocking", () => {
+    const { drivers, problems } = buildFMCSARoster(
+      [driver({ medicalCardExpiry: "2025-03-20" })],
+      { ...cfg, warnWithinDays: 30 }
+    );
+    expect(drivers[0].issues).toEqual({ medicalCardExpiry: "expiring" });
+    expect(problems).toEqual([
+      {
+        severity: "warning",
+        message:
+          "Alemu Bekele: Medical card expiry 2025-03-20 is within 30 days",
+        blocking: false,
+      },
+    ]);
+  });
+
+  it("lets strict: false export despite errors and honours custom required fields", () => {
+    const { problems } = buildFMCSARoster(
+      [driver({ cdlClass: "", hireDate: undefined })],
+      { ...cfg, strict: false, required: ["name", "hireDate"] }
+    );
+    expect(problems).toEqual([
+      {
+        severity: "error",
+        message: "Alemu Bekele: Hire date is missing",
+        blocking: false,
+      },
+    ]);
+  });
+
+  it("translates field labels and messages", () => {
+    const t = (key, fallback, opts = {}) =>
+      ((
+        {
+          "fmcsa.fields.cdlState": "ግዛት",
+          "fmcsa.problems.missing": "{{driver}} — {{field}}?",
+        }[key] ?? fallback
+      ).replace(/{{(\w+)}}/g, (_, k) => opts[k] ?? ""));
+    const { fields, problems } = buildFMCSARoster(
+      [driver({ cdlState: null })],
+      cfg,
+      t
+    );
+    expect(fields[2].label).toBe("ግዛት");
+    expect(problems[0].message).toBe("Alemu Bekele — ግዛት?");
+  });
+});
+
+// ------------------------- Page -------------------------
+describe("page", () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+  const renderPage = (config) =>
+    render(
+      <MemoryRouter>
+        <ConfigurableMRTPage config={config} />
+      </MemoryRouter>
+    );
+
+  it("renders the demo page with the row count footer", async () => {
+    renderPage(defaultConfig);
+    expect(await screen.findByText("Alemu Bekele")).toBeInTheDocument();
+    expect(
+      screen.getByText(`${defaultConfig.dataSource.mockData.length} rows`)
+    ).toBeInTheDocument();
+  });
+
+  it("translates the footer count", async () => {
+    i18n.addResourceBundle("en", "translation", {
+      table: { rowsCount: "{{count}} drivers" },
+    });
+    try {
+      renderPage(defaultConfig);
+      expect(
+        await screen.findByText(
+          `${defaultConfig.dataSource.mockData.length} drivers`
+        )
+      ).toBeInTheDocument();
+    } finally {
+      i18n.removeResourceBundle("en", "translation");
+    }
+  });
+
+  it("shows N+ rows while the server total is unknown", async () => {
+    global.fetch = jest.fn().mockResolvedValue(
+      apiResponse([
+        { id: 1, name: "Alemu" },
+        { id: 2, name: "Hanna" },
+      ])
+    );
+    renderPage({
+      ...defaultConfig,
+      pageId: "unknown-total",
+      pageSize: 2,
+      server: { filtering: true, sorting: true, pagination: true },
+      dataSource: {
+        mode: "api",
+        url: "https://api.test/drivers",
+        cache: false,
+      },
+    });
+    expect(await screen.findByText("2+ rows")).toBeInTheDocument();
+  });
+
+  it("counts and exports rows selected on other server pages", async () => {
+    const run = jest.fn();
+    renderPage({
+      ...defaultConfig,
+      pageId: "selection-pages",
+      pageSize: 2,
+      filters: [],
+      columns: [{ accessorKey: "name", header: "Name" }],
+      server: { filtering: true, sorting: true, pagination: true },
+      dataSource: {
+        mode: "mock",
+        mockData: [
+          { id: 1, name: "Alemu" },
+          { id: 2, name: "Hanna" },
+          { id: 3, name: "Dawit" },
+          { id: 4, name: "Sara" },
+        ],
+      },
+      export: {
+        types: ["rows"],
+        exporters: { rows: { label: "Rows", extension: "json", run } },
+      },
+    });
+    // Selects the first row on the page once it shows `name`
+    const selectRow = async (name) => {
+      await screen.findByText(name);
+      fireEvent.click(
+        screen.getAllByRole("checkbox", { name: "Toggle select row" })[0]
+      );
+    };
+    await selectRow("Alemu");
+    fireEvent.click(screen.getByRole("button", { name: "Go to next page" }));
+    await selectRow("Dawit");
+    fireEvent.click(screen.getByRole("button", { name: "Export" }));
+    fireEvent.click(screen.getByRole("button", { name: "Selected (2)" }));
+    fireEvent.click(screen.getByRole("menuitem", { name: "Rows" }));
+    await waitFor(() => expect(run).toHaveBeenCalled());
+    expect(run.mock.calls[0][0].map((r) => r.name)).toEqual(["Alemu", "Dawit"]);
+  });
+});
+
+describe("page quick search", () => {
+  const config = {
+    ...defaultConfig,
+    pageId: "quick-search",
+    filters: [],
+    columns: [
+      { accessorKey: "name", header: "Name" },
+      { accessorKey: "pay", header: "Pay", type: "currency" },
+    ],
+    dataSource: {
+      mode: "mock",
+      mockData: [
+        { id: 1, name: "Alemu Bekele", pay: 1200 },
+        { id: 2, name: "Hanna Tesfaye", pay: 12000 },
+      ],
+    },
+  };
+
+  it.each([false, true])(
+    "matches formatted text with server filtering %s",
+    async (filtering) => {
+      render(
+        <MemoryRouter initialEntries={["/?drivers.q=%241%2C200.00"]}>
+          <ConfigurableMRTPage
+            config={{
+              ...config,
+              server: { filtering, sorting: false, pagination: false },
+            }}
+          />
+        </MemoryRouter>
+      );
+      await waitFor(() =>
+        expect(screen.getAllByText("Alemu Bekele").length).toBeGreaterThan(0)
+      );
+      expect(screen.queryByText("Hanna Tesfaye")).toBeNull();
+    }
+  );
+});